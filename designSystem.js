@@ -26,30 +26,114 @@
  *   ds.bind('css.btn.background', 'color.primary');
  *   ds.bind('css.btn.padding', 'spacing.md');
  *
+ *   // Bind through a transform, recomputed when the token changes
+ *   ds.bind('css.btn.hover.background', 'color.primary', { alpha: 0.8 });
+ *
  *   // Change token → all bound styles update
  *   ds.setToken('color.primary', '#8b5cf6');
  *
  *   // Bulk theme swap
  *   ds.setTokens({ color: { primary: '#22c55e', danger: '#dc2626' } });
+ *
+ *   // Aliases: '{path}' refers to another token and stays linked to it
+ *   ds.setTokens({ color: { blue: { 500: '#3b82f6' }, primary: '{color.blue.500}' } });
+ *   ds.getToken('color.primary'); // '#3b82f6'
+ *
+ *   // bindMode: 'var' emits tokens once as custom properties on :root and
+ *   // binds styles to them: css.btn.background = 'var(--tokens-color-primary, #3b82f6)'
+ *
+ *   // Scoped overrides fall back to the global tokens
+ *   const sidebar = ds.scope('sidebar', { color: { surface: '#111' } });
+ *   sidebar.bind('css.sidebar.background', 'color.surface');
+ *
+ *   // Named themes: only tokens that differ are written; applyTheme(null)
+ *   // restores the base tokens. followSystem() tracks prefers-color-scheme /
+ *   // prefers-contrast and applies the matching theme.
+ *   ds.defineTheme('dark', { color: { surface: '#0f172a', text: '#f1f5f9' } });
+ *   ds.applyTheme('dark');
+ *   ds.followSystem();
  */
 
+import {
+  fromDTCG, toDTCG, toCSSVariables, toSCSS, toESModule, toTypeScript, tokenVarName, tokenCSSText,
+  flattenTokens, resolveTokenPath,
+} from './tokenFormats.js';
+import { applyTransform } from './tokenTransforms.js';
+import { isUnitlessProperty } from './styleEngine.js';
+
+// Media query -> theme name, checked in order by followSystem(); first match
+// with a defined theme wins, otherwise the base tokens apply
+const DEFAULT_SYSTEM_THEMES = {
+  '(prefers-contrast: more)': 'highContrast',
+  '(prefers-color-scheme: dark)': 'dark',
+  '(prefers-color-scheme: light)': 'light',
+};
+
 /**
  * @param {Object} store - An EveryState store instance
  * @param {Object} options
  * @param {Object} options.tokens - Initial token tree
  * @param {string} [options.namespace='tokens'] - State namespace for tokens
+ * @param {Object} [options.themes] - Named themes: { name: partial token tree }
+ * @param {boolean|Object} [options.followSystem=false] - Follow system preferences from the
+ *   start: true for the default queries, or a { mediaQuery: themeName } map (see followSystem)
+ * @param {'value'|'var'} [options.bindMode='value'] - 'value' copies token values into bound
+ *   style paths; 'var' emits every token once as a CSS custom property
+ *   (--tokens-color-primary) and binds styles to var(--tokens-color-primary, fallback)
+ * @param {string} [options.varTarget='css.$:root'] - Style path of the rule holding the
+ *   custom properties in 'var' mode (e.g. 'css.sidebar' to scope them to .sidebar)
+ * @param {string} [options.scopeNamespace] - State namespace for scoped token overrides
+ *   (default: '{namespace}Scopes', e.g. 'tokensScopes.sidebar.color.surface')
  * @returns {Object} Design system API
  */
-export function createDesignSystem(store, { tokens = {}, namespace = 'tokens' } = {}) {
+export function createDesignSystem(store, {
+  tokens = {},
+  namespace = 'tokens',
+  themes = {},
+  followSystem = false,
+  bindMode = 'value',
+  varTarget = 'css.$:root',
+  scopeNamespace = `${namespace}Scopes`,
+} = {}) {
   // bindings: Map<tokenPath, Set<stylePath>>
   // Tracks which style paths depend on which token paths
   const bindings = new Map();
-  // unsubs: Map<tokenPath, Function>
-  const unsubs = new Map();
+  // transforms: Map<stylePath, transform>, for bindings made with a transform
+  const transforms = new Map();
+  // bindScopes: Map<stylePath, scope name>, for bindings made through ds.scope()
+  const bindScopes = new Map();
+  // scopeVarUnsubs: Map<scope name, Function>, custom property mirroring per scope ('var' mode)
+  const scopeVarUnsubs = new Map();
+  // scopeAliasVars: Map<scope name, { target, paths: Map<style path, full token path> }>, global aliases
+  // re-declared on a scope's rule because their chain reaches one of its overrides ('var' mode)
+  const scopeAliasVars = new Map();
+  // watchers: Map<tokenPath, Map<full token path, unsub>>
+  // Subscriptions to every token in a bound token's alias chain
+  const watchers = new Map();
+
+  // themeMap: Map<name, partial token tree>
+  const themeMap = new Map(Object.entries(themes));
+  // tokenTypes: { tokenPath: typedCSS type }, recorded from imported $type
+  const tokenTypes = {};
+  // baseValues: Map<full token path, value>, the values the active theme
+  // overrode, restored when switching away from it
+  const baseValues = new Map();
+  let activeTheme = null;
+  let stopFollowing = null;
 
   // Initialize tokens in store
   setDeep(store, namespace, tokens);
 
+  // In 'var' mode every token is mirrored to a custom property on varTarget
+  let unsubVars = null;
+  if (bindMode === 'var') {
+    emitVars(namespace, store.get(namespace));
+    unsubVars = store.subscribe(`${namespace}.*`, ({ path, value }) => {
+      emitVars(path, value);
+      for (const name of scopeAliasVars.keys()) redeclareAliases(name);
+    });
+  }
+
   /**
    * Recursively set an object tree into the store
    */
@@ -71,98 +155,412 @@ export function createDesignSystem(store, { tokens = {}, namespace = 'tokens' }
   }
 
   /**
-   * Ensure a subscription exists for a token path that pushes value to all bound style paths
+   * CSS custom property name for a token: 'color.primaryHover' -> '--tokens-color-primary-hover'
+   */
+  function varName(tokenPath) {
+    return tokenVarName(fullTokenPath(tokenPath).slice(namespace.length + 1), namespace);
+  }
+
+  /**
+   * CSS text of a token value for var mode. Numbers get 'px' the way the style
+   * engine formats them, unless `unitless`.
+   */
+  function varCSSText(value, unitless, ref) {
+    const format = item => (typeof item === 'number' && item !== 0 && !unitless ? `${item}px` : item);
+    return tokenCSSText(Array.isArray(value) ? value.map(format) : format(value), ref);
+  }
+
+  /**
+   * Write a token (or token subtree) to its custom properties. References
+   * become var() lookups, so aliases stay linked in plain CSS too. A custom
+   * property has no property of its own to format numbers for, so they stay
+   * unitless only under a unitless property name (lineHeight.body, zIndex.modal).
+   * `base` is the state path the token paths are relative to (a scope's
+   * overrides live outside the token namespace).
+   */
+  function emitVars(path, value, target = varTarget, base = namespace) {
+    for (const [full, leaf] of flattenTokens(value, path)) {
+      if (full === base) continue; // empty token tree
+      const unitless = full.split('.').some(isUnitlessProperty);
+      const cssValue = typeof leaf === 'string' || typeof leaf === 'number' || Array.isArray(leaf)
+        ? varCSSText(leaf, unitless, ref => `var(${varName(ref)})`)
+        : leaf;
+      store.set(`${target}.${varName(full.slice(base.length + 1))}`, cssValue);
+    }
+  }
+
+  /**
+   * Re-declare on a scope's rule every global alias whose chain reaches a token
+   * the scope overrides. var() references are resolved where the property is
+   * declared, so '--tokens-color-link: var(--tokens-color-brand)' on :root would
+   * never see the scope's '--tokens-color-brand'. Declarations no longer
+   * needed are removed.
+   */
+  function redeclareAliases(name) {
+    const { target, paths } = scopeAliasVars.get(name);
+    const base = `${scopeNamespace}.${name}`;
+    const needed = new Map();
+    for (const [full, leaf] of flattenTokens(store.get(namespace), namespace)) {
+      if (typeof leaf !== 'string' || !leaf.includes('{')) continue;
+      if (store.get(scopedPath(name, full)) !== undefined) continue; // emitted as an override
+      const deps = new Set();
+      try {
+        resolvePath(full, deps, name);
+      } catch (err) {
+        continue; // circular, reported where the token is set or bound
+      }
+      const reachesOverride = [...deps].some(dep => dep.startsWith(`${base}.`) && store.get(dep) !== undefined);
+      if (reachesOverride) needed.set(`${target}.${varName(full)}`, full);
+    }
+    for (const [path, full] of paths) {
+      // Skip tokens the scope now overrides: the path holds the override
+      if (!needed.has(path) && store.get(scopedPath(name, full)) === undefined) store.set(path, null);
+    }
+    for (const [path, full] of needed) {
+      const value = tokenCSSText(store.get(full), ref => `var(${varName(ref)})`);
+      if (store.get(path) !== value) store.set(path, value);
+    }
+    scopeAliasVars.set(name, { target, paths: needed });
+  }
+
+  /**
+   * Store path of a scope's override for a full token path
+   */
+  function scopedPath(scope, full) {
+    return `${scopeNamespace}.${scope}.${full.slice(namespace.length + 1)}`;
+  }
+
+  /**
+   * Resolve a token path through its aliases, collecting the full paths it
+   * depends on. Inside a scope, the scope's override wins over the global
+   * token at every step of the chain. Throws on circular references.
+   */
+  function resolvePath(tokenPath, deps = new Set(), scope = null) {
+    const relative = fullTokenPath(tokenPath).slice(namespace.length + 1);
+    return resolveTokenPath(relative, (path) => {
+      const full = fullTokenPath(path);
+      deps.add(full);
+      if (scope != null) {
+        const override = scopedPath(scope, full);
+        deps.add(override);
+        if (store.get(override) !== undefined) return store.get(override);
+      }
+      return store.get(full);
+    });
+  }
+
+  /**
+   * Throw if writing `updates` (Map of full token path -> value) would create a
+   * circular reference, so the store never holds a cyclic token graph.
+   */
+  function assertNoCycles(updates) {
+    const lookup = (path) => {
+      const full = fullTokenPath(path);
+      return updates.has(full) ? updates.get(full) : store.get(full);
+    };
+    for (const full of updates.keys()) {
+      resolveTokenPath(full.slice(namespace.length + 1), lookup);
+    }
+  }
+
+  /**
+   * Resolve a bound token (once per scope it is bound in) and re-point its
+   * subscriptions at its current alias chain (aliases can be retargeted at runtime).
+   *
+   * @returns {Map} scope name (null for global) -> resolved value
+   */
+  function refresh(tokenPath) {
+    const deps = new Set();
+    const scopes = new Set([null]);
+    for (const stylePath of bindings.get(tokenPath) || []) {
+      if (bindScopes.has(stylePath)) scopes.add(bindScopes.get(stylePath));
+    }
+    const values = new Map();
+    for (const scope of scopes) {
+      values.set(scope, resolvePath(tokenPath, deps, scope));
+    }
+    const subs = watchers.get(tokenPath);
+    for (const [dep, unsub] of subs) {
+      if (!deps.has(dep)) { unsub(); subs.delete(dep); }
+    }
+    for (const dep of deps) {
+      if (!subs.has(dep)) subs.set(dep, store.subscribe(dep, () => pushToken(tokenPath)));
+    }
+    return values;
+  }
+
+  /**
+   * Push a token's resolved value to all bound style paths
+   */
+  function pushToken(tokenPath) {
+    const values = refresh(tokenPath);
+    const targets = bindings.get(tokenPath);
+    if (targets) {
+      for (const stylePath of targets) {
+        // In 'var' mode plain bindings follow the custom property instead
+        if (bindMode === 'var' && !transforms.has(stylePath)) continue;
+        const value = values.get(bindScopes.has(stylePath) ? bindScopes.get(stylePath) : null);
+        // A transform that cannot handle the new value skips its binding only,
+        // so the token write and the other bindings still go through
+        let transformed;
+        try {
+          transformed = applyTransform(value, transforms.get(stylePath));
+        } catch (err) {
+          console.warn(`[design-system] bind(${stylePath}, ${tokenPath}): ${err.message}. Binding not updated.`);
+          continue;
+        }
+        store.set(stylePath, transformed);
+      }
+    }
+  }
+
+  /**
+   * Ensure subscriptions exist for a token path (and the tokens it aliases),
+   * covering every scope it is bound in
    */
   function ensureSubscription(tokenPath) {
-    const full = fullTokenPath(tokenPath);
-    if (unsubs.has(tokenPath)) return;
+    if (!watchers.has(tokenPath)) watchers.set(tokenPath, new Map());
+    refresh(tokenPath);
+  }
+
+  function stopWatching(tokenPath) {
+    const subs = watchers.get(tokenPath);
+    if (!subs) return;
+    for (const unsub of subs.values()) unsub();
+    watchers.delete(tokenPath);
+  }
+
+  /**
+   * Bind a style path to a token, globally or inside a scope (see bind / scope).
+   */
+  function bindToken(stylePath, tokenPath, transform, scope) {
+    // Resolve (and transform) first so errors throw before anything is registered
+    const currentValue = applyTransform(resolvePath(tokenPath, undefined, scope), transform);
+    if (!bindings.has(tokenPath)) {
+      bindings.set(tokenPath, new Set());
+    }
+    bindings.get(tokenPath).add(stylePath);
+    if (transform != null) transforms.set(stylePath, transform);
+    else transforms.delete(stylePath);
+    if (scope != null) bindScopes.set(stylePath, scope);
+    else bindScopes.delete(stylePath);
 
-    const unsub = store.subscribe(full, (value) => {
+    if (bindMode === 'var' && transform == null) {
+      // The custom property carries updates; the fallback is the value at bind time
+      const name = varName(tokenPath);
+      const prop = stylePath.slice(stylePath.lastIndexOf('.') + 1);
+      const fallback = currentValue !== undefined ? `, ${varCSSText(currentValue, isUnitlessProperty(prop))}` : '';
+      store.set(stylePath, `var(${name}${fallback})`);
+    } else {
+      ensureSubscription(tokenPath);
+      // Set initial value
+      if (currentValue !== undefined) {
+        store.set(stylePath, currentValue);
+      }
+    }
+
+    return () => {
       const targets = bindings.get(tokenPath);
       if (targets) {
-        for (const stylePath of targets) {
-          store.set(stylePath, value);
+        targets.delete(stylePath);
+        transforms.delete(stylePath);
+        bindScopes.delete(stylePath);
+        if (targets.size === 0) {
+          bindings.delete(tokenPath);
+          stopWatching(tokenPath);
         }
       }
-    });
-    unsubs.set(tokenPath, unsub);
+    };
+  }
+
+  /**
+   * Cross-reference bindings, the token tree and style state (see audit).
+   */
+  function auditTokens(styleNamespace) {
+    const shortPath = full => full.slice(namespace.length + 1);
+    const tokenLeaves = [...flattenTokens(store.get(namespace), namespace).keys()]
+      .filter(full => full !== namespace);
+
+    // Tokens reached by bindings, directly or through aliases (in any scope)
+    const used = new Set();
+    const missingTokens = [];
+    const boundPaths = new Set();
+    for (const [tokenPath, targets] of bindings) {
+      const stylePaths = [...targets];
+      stylePaths.forEach(p => boundPaths.add(p));
+      const scopes = new Set(stylePaths.map(p => (bindScopes.has(p) ? bindScopes.get(p) : null)));
+      for (const scope of scopes) {
+        const deps = new Set();
+        let value;
+        let error = null;
+        try {
+          value = resolvePath(tokenPath, deps, scope);
+        } catch (e) {
+          error = e.message;
+        }
+        deps.forEach(dep => used.add(dep));
+        if (error || value === undefined) {
+          const entry = { token: shortPath(fullTokenPath(tokenPath)), stylePaths };
+          if (scope != null) entry.scope = scope;
+          if (error) entry.error = error;
+          missingTokens.push(entry);
+        }
+      }
+    }
+    const unusedTokens = tokenLeaves.filter(full => !used.has(full)).map(shortPath);
+
+    // Unbound style values that equal a token's (resolved) value
+    const byValue = new Map();
+    for (const full of tokenLeaves) {
+      let value;
+      try { value = resolvePath(full); } catch (e) { continue; }
+      if (value == null || typeof value === 'object') continue;
+      const key = String(value).trim().toLowerCase();
+      if (!byValue.has(key)) byValue.set(key, []);
+      byValue.get(key).push(shortPath(full));
+    }
+    const hardcodedValues = [];
+    const varPrefix = `--${namespace}-`;
+    for (const [path, value] of flattenTokens(store.get(styleNamespace), styleNamespace)) {
+      if (path === styleNamespace || value == null || boundPaths.has(path)) continue;
+      if (path.slice(path.lastIndexOf('.') + 1).startsWith(varPrefix)) continue; // emitted tokens
+      const tokensWithValue = byValue.get(String(value).trim().toLowerCase());
+      if (tokensWithValue) hardcodedValues.push({ path, value, tokens: tokensWithValue });
+    }
+
+    return { unusedTokens, hardcodedValues, missingTokens };
+  }
+
+  function bindMap(map, scope) {
+    const unbinds = [];
+    for (const [stylePath, source] of Object.entries(map)) {
+      const [tokenPath, transform] = Array.isArray(source) ? source : [source];
+      unbinds.push(bindToken(stylePath, tokenPath, transform, scope));
+    }
+    return () => unbinds.forEach(fn => fn());
+  }
+
+  /**
+   * Switch to a theme (or back to the base tokens with null), writing only the
+   * tokens whose value actually changes.
+   */
+  function applyTheme(name) {
+    if (name != null && !themeMap.has(name)) {
+      throw new Error(`Unknown theme: ${name}`);
+    }
+    const target = name == null ? new Map() : flattenTokens(themeMap.get(name), namespace);
+    for (const [path, value] of [...baseValues]) {
+      if (target.has(path)) continue;
+      baseValues.delete(path);
+      if (store.get(path) !== value) store.set(path, value);
+    }
+    for (const [path, value] of target) {
+      if (!baseValues.has(path)) baseValues.set(path, store.get(path));
+      if (store.get(path) !== value) store.set(path, value);
+    }
+    activeTheme = name == null ? null : name;
+  }
+
+  /**
+   * Apply the theme of the first matching media query and keep it in sync as
+   * preferences change. Without matchMedia (e.g. in Node) nothing happens.
+   */
+  function startFollowing(queries = DEFAULT_SYSTEM_THEMES) {
+    if (stopFollowing) stopFollowing();
+    if (typeof matchMedia !== 'function') return () => {};
+    const lists = Object.entries(queries).map(([query, theme]) => ({ mql: matchMedia(query), theme }));
+    const update = () => {
+      const match = lists.find(({ mql, theme }) => mql.matches && themeMap.has(theme));
+      applyTheme(match ? match.theme : null);
+    };
+    for (const { mql } of lists) mql.addEventListener('change', update);
+    update();
+    const stop = () => {
+      for (const { mql } of lists) mql.removeEventListener('change', update);
+      if (stopFollowing === stop) stopFollowing = null;
+    };
+    stopFollowing = stop;
+    return stop;
+  }
+
+  if (followSystem) {
+    startFollowing(followSystem === true ? undefined : followSystem);
   }
 
   return {
     /**
-     * Bind a style path to a token. When the token changes, the style updates.
-     * Also immediately sets the style to the current token value.
+     * Bind a style path to a token. When the token (or any token it aliases)
+     * changes, the style updates. Also immediately sets the style to the
+     * current resolved token value (in 'var' mode: to var(--token, value),
+     * after which only the custom property changes).
+     *
+     * A transform derives the style value from the token and is recomputed on
+     * every change: { alpha: 0.8 }, { darken: '10%' }, { lighten: 0.1 },
+     * { mix: ['#fff', 0.2] }, { multiply: 2 }, a function, or an array of these
+     * (see tokenTransforms.js). Transformed bindings always receive values,
+     * also in 'var' mode.
      *
      * @param {string} stylePath - Target style path (e.g. 'css.btn.background')
      * @param {string} tokenPath - Source token path (e.g. 'color.primary')
+     * @param {Object|Function|Array} [transform] - Value transform
      * @returns {Function} Unbind function
      */
-    bind(stylePath, tokenPath) {
-      if (!bindings.has(tokenPath)) {
-        bindings.set(tokenPath, new Set());
-      }
-      bindings.get(tokenPath).add(stylePath);
-      ensureSubscription(tokenPath);
-
-      // Set initial value
-      const currentValue = store.get(fullTokenPath(tokenPath));
-      if (currentValue !== undefined) {
-        store.set(stylePath, currentValue);
-      }
-
-      return () => {
-        const targets = bindings.get(tokenPath);
-        if (targets) {
-          targets.delete(stylePath);
-          if (targets.size === 0) {
-            bindings.delete(tokenPath);
-            const unsub = unsubs.get(tokenPath);
-            if (unsub) { unsub(); unsubs.delete(tokenPath); }
-          }
-        }
-      };
+    bind(stylePath, tokenPath, transform) {
+      return bindToken(stylePath, tokenPath, transform, null);
     },
 
     /**
      * Bind multiple style paths to tokens at once.
      *
-     * @param {Object} map - { stylePath: tokenPath, ... }
+     * @param {Object} map - { stylePath: tokenPath | [tokenPath, transform], ... }
      * @returns {Function} Unbind all
      */
     bindAll(map) {
-      const unbinds = [];
-      for (const [stylePath, tokenPath] of Object.entries(map)) {
-        unbinds.push(this.bind(stylePath, tokenPath));
-      }
-      return () => unbinds.forEach(fn => fn());
+      return bindMap(map, null);
     },
 
     /**
      * Set a single token value. All bound styles update automatically.
+     * Throws, without writing, if the value creates a circular reference.
      *
      * @param {string} tokenPath - Token path (e.g. 'color.primary')
      * @param {*} value - New token value
      */
     setToken(tokenPath, value) {
-      store.set(fullTokenPath(tokenPath), value);
+      const full = fullTokenPath(tokenPath);
+      assertNoCycles(flattenTokens(value, full));
+      store.set(full, value);
     },
 
     /**
-     * Set multiple tokens at once (partial merge).
+     * Set multiple tokens at once (partial merge). Throws, without writing
+     * anything, if the tokens create a circular reference.
      *
      * @param {Object} tokenTree - Partial token tree to merge
      */
     setTokens(tokenTree) {
+      assertNoCycles(flattenTokens(tokenTree, namespace));
       setDeep(store, namespace, tokenTree);
     },
 
     /**
-     * Get current value of a token.
+     * Get current value of a token, with '{path}' references resolved.
+     * Throws on circular references.
      *
      * @param {string} tokenPath - Token path
      * @returns {*} Current value
      */
     getToken(tokenPath) {
+      return resolvePath(tokenPath);
+    },
+
+    /**
+     * Get a token value as stored, without resolving references.
+     *
+     * @param {string} tokenPath - Token path
+     * @returns {*} Raw value (e.g. '{color.blue.500}')
+     */
+    getRawToken(tokenPath) {
       return store.get(fullTokenPath(tokenPath));
     },
 
@@ -175,6 +573,166 @@ export function createDesignSystem(store, { tokens = {}, namespace = 'tokens' }
       return store.get(namespace);
     },
 
+    /**
+     * Create (or extend) a token scope: overrides that apply only to styles
+     * bound through the returned handle; tokens it doesn't override fall back
+     * to the global ones, and aliases resolve through the scope too. In 'var'
+     * mode the overrides are also emitted as custom properties on the scope's
+     * style path (default 'css.{name}', i.e. the .name class), along with the
+     * global aliases that point at them, so var() chains resolve in the scope.
+     *
+     * @example
+     *   const sidebar = ds.scope('sidebar', { color: { surface: '#111' } });
+     *   sidebar.bind('css.sidebar.background', 'color.surface'); // '#111'
+     *   sidebar.bind('css.sidebar.color', 'color.text');         // global value
+     *
+     * @param {string} name - Scope name (e.g. 'sidebar', 'tenant-acme')
+     * @param {Object} [overrides] - Partial token tree, merged into the scope
+     * @param {Object} [options]
+     * @param {string} [options.varTarget] - Style path for the custom properties in 'var' mode
+     * @returns {Object} Scope handle: { name, bind, bindAll, getToken, setToken, setTokens }
+     */
+    scope(name, overrides = {}, { varTarget: scopeVarTarget = `css.${name}` } = {}) {
+      const base = `${scopeNamespace}.${name}`;
+      setDeep(store, base, overrides);
+      if (bindMode === 'var' && !scopeVarUnsubs.has(name)) {
+        emitVars(base, store.get(base), scopeVarTarget, base);
+        scopeAliasVars.set(name, { target: scopeVarTarget, paths: new Map() });
+        redeclareAliases(name);
+        scopeVarUnsubs.set(name, store.subscribe(`${base}.*`, ({ path, value }) => {
+          emitVars(path, value, scopeVarTarget, base);
+          redeclareAliases(name);
+        }));
+      }
+      return {
+        name,
+        bind(stylePath, tokenPath, transform) {
+          return bindToken(stylePath, tokenPath, transform, name);
+        },
+        bindAll(map) {
+          return bindMap(map, name);
+        },
+        getToken(tokenPath) {
+          return resolvePath(tokenPath, undefined, name);
+        },
+        setToken(tokenPath, value) {
+          store.set(scopedPath(name, fullTokenPath(tokenPath)), value);
+        },
+        setTokens(tokenTree) {
+          setDeep(store, base, tokenTree);
+        },
+      };
+    },
+
+    /**
+     * Get the CSS custom property name used for a token in 'var' mode.
+     *
+     * @param {string} tokenPath - Token path (e.g. 'color.primary')
+     * @returns {string} e.g. '--tokens-color-primary'
+     */
+    varName,
+
+    /**
+     * Import a W3C Design Tokens (DTCG) document, e.g. a Figma export.
+     * Tokens are merged (and checked for cycles) like setTokens; aliases are kept as references and
+     * $type is recorded as a typedCSS type (see getTokenTypes).
+     *
+     * @param {Object} json - DTCG document (parsed JSON)
+     */
+    importTokens(json) {
+      const { tokens: imported, types } = fromDTCG(json);
+      assertNoCycles(flattenTokens(imported, namespace));
+      Object.assign(tokenTypes, types);
+      setDeep(store, namespace, imported);
+    },
+
+    /**
+     * Export the current token tree (see tokenFormats.js for the exporters).
+     *
+     * @param {Object} [options]
+     * @param {'dtcg'|'css'|'scss'|'js'|'dts'} [options.format='dtcg'] - Output format:
+     *   DTCG JSON, CSS custom properties, SCSS variables and map, ES module, or .d.ts
+     * @param {string} [options.selector=':root'] - Rule for the 'css' format
+     * @param {string} [options.name] - Exported constant for 'js' / 'dts' (default: namespace)
+     * @returns {Object|string} DTCG document, or source text for the other formats
+     */
+    exportTokens({ format = 'dtcg', selector = ':root', name = namespace } = {}) {
+      const tree = store.get(namespace) || {};
+      switch (format) {
+        case 'dtcg': return toDTCG(tree, tokenTypes);
+        case 'css': return toCSSVariables(tree, { prefix: namespace, selector });
+        case 'scss': return toSCSS(tree, { prefix: namespace });
+        case 'js': return toESModule(tree, { name });
+        case 'dts': return toTypeScript(tree, { name });
+        default: throw new Error(`Unknown token export format: ${format}`);
+      }
+    },
+
+    /**
+     * Get the typedCSS types of imported tokens.
+     *
+     * @returns {Object} Map of tokenPath → 'color' | 'length' | 'number' | 'shadow' | 'string'
+     */
+    getTokenTypes() {
+      return { ...tokenTypes };
+    },
+
+    /**
+     * Define (or redefine) a named theme as a partial token tree. Tokens it
+     * leaves out keep their base value. Redefining the active theme re-applies it.
+     *
+     * @param {string} name - Theme name (e.g. 'dark')
+     * @param {Object} tokenTree - Partial token tree
+     */
+    defineTheme(name, tokenTree) {
+      themeMap.set(name, tokenTree);
+      if (activeTheme === name) applyTheme(name);
+    },
+
+    /**
+     * Apply a named theme. Only tokens whose value differs are written, and
+     * tokens overridden by the previous theme go back to their base value.
+     *
+     * @param {string|null} name - Theme name, or null for the base tokens
+     */
+    applyTheme,
+
+    /**
+     * Get the name of the active theme.
+     *
+     * @returns {string|null} Theme name, or null when the base tokens apply
+     */
+    getActiveTheme() {
+      return activeTheme;
+    },
+
+    /**
+     * Follow system preferences (prefers-color-scheme, prefers-contrast):
+     * the theme of the first matching query is applied now and whenever the
+     * preference changes. Queries whose theme is not defined are skipped.
+     *
+     * @param {Object} [queries] - { mediaQuery: themeName }, checked in order
+     *   (default: more contrast -> 'highContrast', dark -> 'dark', light -> 'light')
+     * @returns {Function} Stop following
+     */
+    followSystem: startFollowing,
+
+    /**
+     * Audit token usage. The report is plain JSON, so a test can fail on it:
+     *   - unusedTokens: token paths no binding reaches (directly or via aliases)
+     *   - hardcodedValues: unbound style values equal to a token value
+     *     ({ path, value, tokens }), candidates for bind()
+     *   - missingTokens: bindings whose token doesn't exist or can't be resolved
+     *     ({ token, stylePaths, scope?, error? })
+     *
+     * @param {Object} [options]
+     * @param {string} [options.styleNamespace='css'] - Style state to scan for hardcoded values
+     * @returns {{ unusedTokens: string[], hardcodedValues: Object[], missingTokens: Object[] }}
+     */
+    audit({ styleNamespace = 'css' } = {}) {
+      return auditTokens(styleNamespace);
+    },
+
     /**
      * Get all bindings for debugging/inspection.
      *
@@ -192,11 +750,17 @@ export function createDesignSystem(store, { tokens = {}, namespace = 'tokens' }
      * Remove all bindings and subscriptions.
      */
     destroy() {
-      for (const unsub of unsubs.values()) {
-        unsub();
+      if (stopFollowing) stopFollowing();
+      if (unsubVars) unsubVars();
+      for (const unsub of scopeVarUnsubs.values()) unsub();
+      scopeVarUnsubs.clear();
+      scopeAliasVars.clear();
+      for (const tokenPath of [...watchers.keys()]) {
+        stopWatching(tokenPath);
       }
-      unsubs.clear();
       bindings.clear();
+      transforms.clear();
+      bindScopes.clear();
     },
   };
 }
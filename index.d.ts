@@ -13,13 +13,127 @@ export interface StyleEngineOptions {
   namespace?: string;
   /** ID for the injected <style> element (default: 'everystate-css') */
   id?: string;
+  /**
+   * Root(s) to style. Uses a constructable sheet in `adoptedStyleSheets` when
+   * available (required for several roots); otherwise a <style> element.
+   * Default: a <style> element in document.head
+   */
+  target?: Document | ShadowRoot | Array<Document | ShadowRoot>;
+  /**
+   * Named breakpoints for `@name` path segments: a map of name -> width or
+   * media query, or a store path to read them from (e.g. 'tokens.breakpoint').
+   * Default: { sm: '640px', md: '768px', lg: '1024px', xl: '1280px' }
+   */
+  breakpoints?: Record<string, string> | string;
+  /**
+   * Selector aliases: segment name -> literal selector fragment.
+   * Fragments starting with '&' or '[' attach to the previous compound,
+   * e.g. { open: '&[data-state="open"]', app: '#app' }.
+   */
+  selectors?: Record<string, string>;
+  /**
+   * Named condition segments (`@name`) added to the built-ins (print, screen, dark,
+   * light, reducedMotion, motionSafe, highContrast, lowContrast, forcedColors, canHover):
+   * a media query, or a full '@supports ...' / '@media ...' / '@container ...' prelude.
+   */
+  conditions?: Record<string, string>;
+  /** Property registry in camelCase (default: CSS_PROPERTIES); replaces the built-in set */
+  properties?: Iterable<string>;
+  /** Properties added on top of the registry */
+  extraProperties?: Iterable<string>;
+  /**
+   * Unregistered properties are dropped; 'warn' also logs the first occurrence
+   * of each. `--custom` properties and vendor-prefixed names of registered
+   * properties always pass. Default: 'drop'
+   */
+  unknownProperties?: 'drop' | 'warn';
+  /**
+   * When state changes reach the sheet: 'sync' (default) writes immediately;
+   * 'microtask' / 'frame' collect writes and flush once per microtask / animation frame.
+   */
+  schedule?: 'sync' | 'microtask' | 'frame';
+  /** Cascade layer wrapping every rule from this engine */
+  layer?: string;
+  /** Layer order, declared with an `@layer a, b, c;` statement at the top of the sheet */
+  layers?: string[];
+  /** Scope key: class segments become scoped class names ('card' -> 'card_x7f2k') */
+  scope?: string;
+  /** Scoped class format: hashed suffix (default) or '{scope}-{name}' */
+  classNames?: 'hash' | 'prefix';
+  /**
+   * Adopt a prerendered <style id> (e.g. compileCSS output) instead of creating
+   * one: rules are reused, only differing values patched, stale ones removed.
+   */
+  hydrate?: boolean;
+  /**
+   * Custom value transforms, run in order before the built-in formatting
+   * (numbers -> px unless unitless, arrays joined). Return null to skip the declaration.
+   */
+  normalizers?: StyleValueNormalizer[];
+}
+
+/** Transform a style value before it is written: (value, camelCase prop, full state path) */
+export type StyleValueNormalizer = (value: any, prop: string, path: string) => any;
+
+/** Built-in camelCase CSS property registry used by the style engine */
+export const CSS_PROPERTIES: Set<string>;
+
+export interface ParsedStylePath {
+  selector: string;
+  prop: string;
+  /** Enclosing at-rule preludes, outermost first (e.g. ['@media (min-width: 768px)']) */
+  at: string[];
+  /** True when the path contains a '!important' segment */
+  important: boolean;
+}
+
+/** A declaration written by the engine and the store path that produced it */
+export interface StyleDeclarationSource {
+  path: string;
+  /** kebab-case CSS property */
+  property: string;
+  value: string;
+  important: boolean;
+  /** Enclosing at-rule preludes, outermost first */
+  at: string[];
+}
+
+/** Written declarations: { ruleKey: { property: value } }, ruleKey = at-rules + selector */
+export type StyleSnapshot = Record<string, Record<string, string>>;
+
+export interface StyleSnapshotDiff {
+  added: Array<{ rule: string; property: string; value: string }>;
+  removed: Array<{ rule: string; property: string; value: string }>;
+  changed: Array<{ rule: string; property: string; from: string; to: string }>;
 }
 
 export interface StyleEngine {
-  /** Apply a CSS property to a selector */
-  apply(selector: string, prop: string, value: string): void;
-  /** Parse a store path into { selector, prop } or null */
-  parse(fullPath: string): { selector: string; prop: string } | null;
+  /** Apply a CSS property to a selector, optionally inside at-rules and with !important */
+  applyProperty(selector: string, prop: string, value: string, at?: string[], important?: boolean): void;
+  /** Remove a CSS property; the rule (and empty at-rule groups) are deleted when left empty */
+  removeProperty(selector: string, prop: string, at?: string[]): void;
+  /** Parse a store path into { selector, prop, at } or null */
+  parsePath(fullPath: string): ParsedStylePath | null;
+  /** The CSSStyleSheet the engine writes to */
+  getSheet(): CSSStyleSheet;
+  /** All style rules created by the engine, keyed by selector (prefixed by at-rules) */
+  getRules(): Map<string, CSSStyleRule>;
+  /** Apply all pending scheduled writes now (no-op in 'sync' mode) */
+  flush(): void;
+  /** Delete every rule and rebuild the sheet from current state (e.g. after hot reload) */
+  resync(): void;
+  /** Class name to use in markup for a path segment (scoped when `scope` is set) */
+  classFor(name: string): string;
+  /** Store paths behind each declaration of a selector (e.g. '.btn:hover'), in write order */
+  explain(selector: string): StyleDeclarationSource[];
+  /** JSON-safe copy of the written declarations */
+  snapshot(): StyleSnapshot;
+  /** Declarations added, removed and changed since an earlier snapshot() */
+  diff(prevSnapshot: StyleSnapshot): StyleSnapshotDiff;
+  /** Readable CSS for everything the engine has written, formatted like compileCSS */
+  toCSSText(): string;
+  /** Unsubscribe and detach the sheet (<style> element or adopted sheet) */
+  destroy(): void;
 }
 
 /**
@@ -28,6 +142,34 @@ export interface StyleEngine {
  */
 export function createStyleEngine(store: EveryStateStore, options?: StyleEngineOptions): StyleEngine;
 
+export interface CompileCSSOptions {
+  /** CSS path namespace in the state (default: 'css') */
+  namespace?: string;
+  /** Named breakpoints for `@name` path segments (see StyleEngineOptions) */
+  breakpoints?: Record<string, string> | string;
+  /** Selector aliases (see StyleEngineOptions) */
+  selectors?: Record<string, string>;
+  /** Named condition segments (see StyleEngineOptions) */
+  conditions?: Record<string, string>;
+  properties?: Iterable<string>;
+  extraProperties?: Iterable<string>;
+  unknownProperties?: 'drop' | 'warn';
+  layer?: string;
+  layers?: string[];
+  scope?: string;
+  classNames?: 'hash' | 'prefix';
+  normalizers?: StyleValueNormalizer[];
+}
+
+/** Scope a class name the way a style engine with the same `scope` does */
+export function scopeClass(name: string, scope: string, mode?: 'hash' | 'prefix'): string;
+
+/**
+ * Compile style state to CSS text without a DOM (SSR, critical CSS, static builds).
+ * Accepts a store or a plain state object; output is deterministic for a given state.
+ */
+export function compileCSS(source: EveryStateStore | Record<string, any>, options?: CompileCSSOptions): string;
+
 // == CSS State ==============================================================
 
 export interface CssStateOptions {
@@ -57,23 +199,160 @@ export interface DesignSystemOptions {
   tokens?: Record<string, any>;
   /** Token namespace in the store (default: 'tokens') */
   namespace?: string;
+  /** Named themes: partial token trees applied over the base tokens */
+  themes?: Record<string, Record<string, any>>;
+  /** Follow system preferences from the start (see DesignSystem.followSystem) */
+  followSystem?: boolean | Record<string, string>;
+  /**
+   * 'value' (default) copies token values into bound style paths; 'var' emits each
+   * token once as a custom property and binds styles to var(--tokens-..., fallback)
+   */
+  bindMode?: 'value' | 'var';
+  /** Style path of the rule holding the custom properties in 'var' mode (default: 'css.$:root') */
+  varTarget?: string;
+  /** State namespace for scoped token overrides (default: '{namespace}Scopes') */
+  scopeNamespace?: string;
+}
+
+export interface TokenAuditReport {
+  /** Token paths that no binding reaches, directly or through aliases */
+  unusedTokens: string[];
+  /** Unbound style values equal to a token value */
+  hardcodedValues: Array<{ path: string; value: any; tokens: string[] }>;
+  /** Bindings whose token is missing or cannot be resolved (e.g. circular alias) */
+  missingTokens: Array<{ token: string; stylePaths: string[]; scope?: string; error?: string }>;
+}
+
+/** Token overrides for part of the page; bindings made here fall back to global tokens */
+export interface DesignSystemScope {
+  readonly name: string;
+  bind(stylePath: string, tokenPath: string, transform?: TokenTransform): () => void;
+  bindAll(map: Record<string, string | [string, TokenTransform?]>): () => void;
+  /** Token value as seen in this scope (override, else global) */
+  getToken(tokenPath: string): any;
+  /** Set (or with undefined, clear) an override in this scope */
+  setToken(tokenPath: string, value: any): void;
+  /** Merge a partial token tree into this scope's overrides */
+  setTokens(tokens: Record<string, any>): void;
 }
 
 export interface DesignSystem {
-  /** Bind a CSS style path to a token path */
-  bind(stylePath: string, tokenPath: string): void;
+  /** Bind a CSS style path to a token path, optionally through a transform; returns unbind */
+  bind(stylePath: string, tokenPath: string, transform?: TokenTransform): () => void;
+  /** Bind several style paths: { stylePath: tokenPath | [tokenPath, transform] }; returns unbind all */
+  bindAll(map: Record<string, string | [string, TokenTransform?]>): () => void;
   /** Set a single token value */
   setToken(tokenPath: string, value: any): void;
   /** Set multiple tokens at once */
   setTokens(tokens: Record<string, any>): void;
-  /** Get a token value */
+  /** Get a token value with '{path}' references resolved (throws on cycles) */
   getToken(tokenPath: string): any;
+  /** Get a token value as stored, e.g. '{color.blue.500}' */
+  getRawToken(tokenPath: string): any;
+  /** Define (or redefine) a named theme as a partial token tree */
+  defineTheme(name: string, tokens: Record<string, any>): void;
+  /** Apply a theme, writing only tokens that change; null restores the base tokens */
+  applyTheme(name: string | null): void;
+  /** Name of the active theme, or null for the base tokens */
+  getActiveTheme(): string | null;
+  /**
+   * Apply the theme of the first matching media query ({ mediaQuery: themeName },
+   * default: prefers-contrast more -> 'highContrast', dark -> 'dark', light -> 'light')
+   * and keep following changes. Returns a function that stops following.
+   */
+  followSystem(queries?: Record<string, string>): () => void;
+  /**
+   * Create (or extend) a named scope of token overrides. In 'var' mode the overrides
+   * are also emitted as custom properties on options.varTarget (default 'css.{name}').
+   */
+  scope(name: string, overrides?: Record<string, any>, options?: { varTarget?: string }): DesignSystemScope;
+  /** Custom property name of a token in 'var' mode, e.g. '--tokens-color-primary' */
+  varName(tokenPath: string): string;
+  /** Merge a W3C Design Tokens (DTCG) document into the tokens, recording $type */
+  importTokens(json: DTCGDocument): void;
+  /** Export the token tree as a DTCG document */
+  exportTokens(options?: { format?: 'dtcg' }): DTCGDocument;
+  /** Export the token tree as CSS custom properties, SCSS, an ES module or a .d.ts */
+  exportTokens(options: { format: 'css' | 'scss' | 'js' | 'dts'; selector?: string; name?: string }): string;
+  /** typedCSS types of imported tokens, by token path */
+  getTokenTypes(): Record<string, TokenValueType>;
+  /** Report unused tokens, hardcoded style values that match tokens, and bindings to missing tokens */
+  audit(options?: { styleNamespace?: string }): TokenAuditReport;
   /** Get all current bindings */
   getBindings(): Map<string, Set<string>>;
   /** Destroy all subscriptions */
   destroy(): void;
 }
 
+/** Built-in token transforms, applied in key order */
+export interface TokenTransformSpec {
+  /** Opacity: 0.8 or '80%' */
+  alpha?: number | string;
+  /** HSL lightness + amount: 0.1 or '10%' */
+  lighten?: number | string;
+  /** HSL lightness - amount: 0.1 or '10%' */
+  darken?: number | string;
+  /** Mix in another color: '#fff' (50%) or ['#fff', 0.2] */
+  mix?: string | [string, number | string];
+  /** Multiply every number in a length or number value */
+  multiply?: number;
+}
+
+export type TokenTransform = TokenTransformSpec | ((value: any) => any) | Array<TokenTransformSpec | ((value: any) => any)>;
+
+/** Apply a token transform to a value (used by DesignSystem.bind) */
+export function applyTransform(value: any, transform?: TokenTransform): any;
+
+/** Built-in transform functions by name */
+export const TRANSFORMS: Record<string, (value: any, arg: any) => any>;
+
+/** typedCSS value types that DTCG $type values map onto */
+export type TokenValueType = 'color' | 'length' | 'number' | 'shadow' | 'string';
+
+/** W3C Design Tokens Community Group document: groups of { $value, $type } tokens */
+export interface DTCGDocument {
+  [key: string]: any;
+}
+
+/** Convert a DTCG document to a token tree plus typedCSS types by token path */
+export function fromDTCG(json: DTCGDocument): { tokens: Record<string, any>; types: Record<string, TokenValueType> };
+
+/** Convert a token tree to a DTCG document ($type from `types`, or inferred) */
+export function toDTCG(tokens: Record<string, any>, types?: Record<string, TokenValueType>): DTCGDocument;
+
+/** Custom property name for a token path: ('color.primary', 'tokens') -> '--tokens-color-primary' */
+export function tokenVarName(path: string, prefix?: string): string;
+
+/** Token value as CSS text: arrays comma-separated, '{path}' references rewritten by `ref` */
+export function tokenCSSText(value: any, ref?: (path: string, match: string) => string): string;
+
+/** Matches a value that is exactly one '{path}' alias */
+export const TOKEN_ALIAS_RE: RegExp;
+
+/** Matches every '{path}' reference in a value (global) */
+export const TOKEN_REF_RE: RegExp;
+
+/** Leaves of a token tree as a Map of path -> value, paths starting with `prefix` */
+export function flattenTokens(node: any, prefix?: string, out?: Map<string, any>): Map<string, any>;
+
+/** Resolve one token through aliases and references; `lookup` reads raw values (throws on cycles) */
+export function resolveTokenPath(path: string, lookup: (path: string) => any, chain?: string[]): any;
+
+/** Copy of a token tree with every '{path}' reference resolved (throws on cycles) */
+export function resolveTokens(tokens: Record<string, any>): Record<string, any>;
+
+/** `:root { --tokens-...: ...; }` CSS; aliases become var() references */
+export function toCSSVariables(tokens: Record<string, any>, options?: { prefix?: string; selector?: string }): string;
+
+/** SCSS variables ($tokens-color-primary) plus a nested $tokens map */
+export function toSCSS(tokens: Record<string, any>, options?: { prefix?: string }): string;
+
+/** ES module source exporting the resolved token tree */
+export function toESModule(tokens: Record<string, any>, options?: { name?: string }): string;
+
+/** .d.ts source with a TokenPath union and the literal types of the token tree */
+export function toTypeScript(tokens: Record<string, any>, options?: { name?: string }): string;
+
 /**
  * Create a design system with token-to-style bindings.
  * Changing a token automatically updates all bound CSS paths.
@@ -159,7 +438,16 @@ export function createTypedCSS(store: EveryStateStore, schema: TypedCSSSchema, o
 
 // == Template Manager =======================================================
 
+export interface ApplyClassesOptions {
+  prefix?: string;
+  clearExisting?: boolean;
+  namespace?: string;
+  /** Maps class names before they are added, e.g. a lookup object or `engine.classFor` */
+  classMap?: Record<string, string> | ((name: string) => string);
+}
+
 export interface TemplateManager {
+  applyClassesFromState(element: HTMLElement, stateKey: string, options?: ApplyClassesOptions | string): HTMLElement;
   register(name: string, template: Record<string, any>): void;
   apply(name: string): void;
   list(): string[];
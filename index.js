@@ -5,8 +5,13 @@
 export { createCssState } from './cssState.js';
 export { createDesignSystem } from './designSystem.js';
 export { createRelationalCSS } from './relationalCSS.js';
-export { createStyleEngine } from './styleEngine.js';
+export { createStyleEngine, compileCSS, scopeClass, CSS_PROPERTIES } from './styleEngine.js';
 export { createTypedCSS } from './typedCSS.js';
+export {
+  fromDTCG, toDTCG, toCSSVariables, toSCSS, toESModule, toTypeScript, resolveTokens, tokenVarName,
+  tokenCSSText, flattenTokens, resolveTokenPath, TOKEN_ALIAS_RE, TOKEN_REF_RE,
+} from './tokenFormats.js';
+export { applyTransform, TRANSFORMS } from './tokenTransforms.js';
 export { createTemplateManager, TemplateManager } from './templateManager.js';
 export { createSerializer, escapeCssValue, unescapeCssValue } from './stateSerializer.js';
 export { default as StateSerializer } from './stateSerializer.js';
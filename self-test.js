@@ -2,7 +2,7 @@
  * @everystate/css: zero-dependency self-test
  *
  * Tests the pure-function core of the CSS package:
- * - styleEngine: parsePath, camelToKebab
+ * - styleEngine: parsePath, camelToKebab, splitPath, at-rule segments, rule lookup keys
  * - typedCSS: validators (color, length, enum, number)
  * - relationalCSS: color utilities (hexToRgb, relativeLuminance, contrastRatio)
  * - relationalCSS: length utilities (parseLength, formatLength)
@@ -32,7 +32,8 @@ function section(title) {
 
 // From styleEngine.js
 function camelToKebab(s) {
-  return s.replace(/([A-Z])/g, '-$1').toLowerCase();
+  if (s.startsWith('--')) return s;
+  return s.replace(/^ms([A-Z])/, 'Ms$1').replace(/([A-Z])/g, '-$1').toLowerCase();
 }
 
 const CSS_PROPERTIES = new Set([
@@ -78,6 +79,79 @@ function parsePath(fullPath, namespace = 'css') {
   return { selector, prop };
 }
 
+function splitPath(path) {
+  const segments = [];
+  let current = '';
+  let depth = 0;
+  let quote = null;
+  for (const ch of path) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+    } else if (ch === '.' && depth === 0) {
+      segments.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  segments.push(current);
+  return segments;
+}
+
+function normalizeCondition(condition) {
+  const collapsed = condition.trim().replace(/\s+/g, ' ');
+  return collapsed.includes('selector(') ? collapsed : collapsed.replace(/\s*:\s*/g, ': ');
+}
+
+function breakpointQuery(value) {
+  const v = String(value).trim();
+  return /^-?\d/.test(v) ? `(min-width: ${v})` : normalizeCondition(v);
+}
+
+function conditionPrelude(value) {
+  const v = String(value).trim();
+  const at = v.match(/^@(media|supports|container)\s+(.+)$/);
+  return at ? `@${at[1]} ${normalizeCondition(at[2])}` : `@media ${normalizeCondition(v)}`;
+}
+
+const LAYER_NAME_RE = /^-?[_a-zA-Z][\w-]*(\.-?[_a-zA-Z][\w-]*)*$/;
+
+function parseAtSegment(seg, resolveNamed) {
+  const layer = seg.match(/^@layer\((.*)\)$/);
+  if (layer) {
+    const name = layer[1].trim();
+    return LAYER_NAME_RE.test(name) ? `@layer ${name}` : null;
+  }
+  const fn = seg.match(/^@(media|container|supports)\((.*)\)$/);
+  if (fn) {
+    const condition = normalizeCondition(fn[2]);
+    if (!condition) return null;
+    const wrapped = condition.includes(':') && !condition.includes('(')
+      ? `(${condition})`
+      : condition;
+    return `@${fn[1]} ${wrapped}`;
+  }
+  return resolveNamed(seg.slice(1));
+}
+
+const KEYFRAME_KEYWORDS = { from: '0%', to: '100%' };
+
+function normalizeSelectorKey(selector, keyframe = false) {
+  if (keyframe) {
+    return selector.split(',').map(s => KEYFRAME_KEYWORDS[s.trim()] || s.trim()).join(', ');
+  }
+  return selector
+    .replace(/\[\s*([^\s\]~|^$*=]+)\s*([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s\]"']+))\s*([is])?\s*\]/g,
+      (m, name, op, dq, sq, bare, flag) => `[${name}${op}"${dq ?? sq ?? bare}"${flag ? ` ${flag}` : ''}]`)
+    .replace(/(:nth-[a-z-]+\()([^)]*?)(?=\s+of\s|\s*\))/g, (m, fn, arg) => fn + arg.replace(/\s+/g, ''));
+}
+
 // From typedCSS.js
 const COLOR_RE = /^(#([0-9a-f]{3,8})|rgb(a)?\(|hsl(a)?\(|transparent|currentColor|inherit|initial|unset|var\()/i;
 const COLOR_NAMES = new Set(['black','white','red','green','blue','yellow','orange','purple']);
@@ -151,6 +225,9 @@ assert('fontSize -> font-size', camelToKebab('fontSize') === 'font-size');
 assert('borderTopLeftRadius -> border-top-left-radius', camelToKebab('borderTopLeftRadius') === 'border-top-left-radius');
 assert('color -> color (no change)', camelToKebab('color') === 'color');
 assert('zIndex -> z-index', camelToKebab('zIndex') === 'z-index');
+assert('WebkitBackdropFilter -> -webkit-backdrop-filter', camelToKebab('WebkitBackdropFilter') === '-webkit-backdrop-filter');
+assert('msOverflowStyle -> -ms-overflow-style', camelToKebab('msOverflowStyle') === '-ms-overflow-style');
+assert('--brandColor kept as-is', camelToKebab('--brandColor') === '--brandColor');
 
 // -- 2. parsePath ----------------------------------------------------
 
@@ -259,6 +336,59 @@ assert('formatLength 1.5 rem', formatLength(1.5, 'rem') === '1.5rem');
 assert('formatLength 24 px', formatLength(24, 'px') === '24px');
 assert('formatLength rounds', formatLength(1.33333333, 'rem') === '1.3333rem');
 
+// -- 8. splitPath + at-rule segments --------------------------------
+
+section('8. splitPath + at-rule segments');
+
+const sp = splitPath('css.card.@container(min-width:40.5rem).gap');
+assert('splitPath keeps dots inside parens', sp.length === 4 && sp[2] === '@container(min-width:40.5rem)');
+assert('splitPath plain path', splitPath('css.card.color').join('|') === 'css|card|color');
+
+const bps = { md: '768px', print: 'print' };
+const conditions = { reducedMotion: '(prefers-reduced-motion: reduce)', grid: '@supports (display:grid)' };
+const resolveBp = (name) => {
+  if (name in conditions) return conditionPrelude(conditions[name]);
+  return name in bps ? `@media ${breakpointQuery(bps[name])}` : null;
+};
+assert('@md -> min-width media query', parseAtSegment('@md', resolveBp) === '@media (min-width: 768px)');
+assert('@layer(name) -> layer block', parseAtSegment('@layer(components.cards)', resolveBp) === '@layer components.cards');
+assert('@layer with invalid name -> null', parseAtSegment('@layer(a b)', resolveBp) === null);
+assert('named media type passes through', parseAtSegment('@print', resolveBp) === '@media print');
+assert('unknown breakpoint -> null', parseAtSegment('@huge', resolveBp) === null);
+assert('@container normalizes condition',
+  parseAtSegment('@container(min-width:400px)', resolveBp) === '@container (min-width: 400px)');
+assert('@container keeps container name',
+  parseAtSegment('@container(sidebar (min-width:400px))', resolveBp) === '@container sidebar (min-width: 400px)');
+assert('@media(...) wraps bare feature',
+  parseAtSegment('@media(orientation:portrait)', resolveBp) === '@media (orientation: portrait)');
+assert('@media(...) keeps media type', parseAtSegment('@media(print)', resolveBp) === '@media print');
+assert('@supports(...) wraps bare feature',
+  parseAtSegment('@supports(display:grid)', resolveBp) === '@supports (display: grid)');
+assert('@supports selector() keeps colons',
+  parseAtSegment('@supports(selector(a:has(b)))', resolveBp) === '@supports selector(a:has(b))');
+assert('named condition -> media query',
+  parseAtSegment('@reducedMotion', resolveBp) === '@media (prefers-reduced-motion: reduce)');
+assert('named condition with full prelude', parseAtSegment('@grid', resolveBp) === '@supports (display: grid)');
+
+// -- 9. rule lookup keys (hydration) --------------------------------
+
+section('9. rule lookup keys (hydration)');
+
+assert('from/to -> 0%/100%', normalizeSelectorKey('from', true) === '0%' && normalizeSelectorKey('to', true) === '100%');
+assert('keyframe list normalized', normalizeSelectorKey('from,50%, to', true) === '0%, 50%, 100%');
+assert('browser keyText unchanged', normalizeSelectorKey('0%, 100%', true) === '0%, 100%');
+assert('unquoted attribute value quoted',
+  normalizeSelectorKey('[data-theme=dark] .card') === '[data-theme="dark"] .card');
+assert('single-quoted attribute value -> double quotes',
+  normalizeSelectorKey("a[href$='.pdf']") === 'a[href$=".pdf"]');
+assert('attribute flag kept', normalizeSelectorKey('[type=a i]') === '[type="a" i]');
+assert('bare attribute unchanged', normalizeSelectorKey('[hidden]') === '[hidden]');
+assert('nth whitespace removed', normalizeSelectorKey('li:nth-child(2n + 1)') === 'li:nth-child(2n+1)');
+assert('nth of selector kept', normalizeSelectorKey('li:nth-child(2n + 1 of .x)') === 'li:nth-child(2n+1 of .x)');
+assert('parsePath and browser forms agree',
+  normalizeSelectorKey('[data-theme=dark] li:nth-child(2n + 1)')
+    === normalizeSelectorKey('[data-theme="dark"] li:nth-child(2n+1)'));
+
 // -- Summary ---------------------------------------------------------
 
 console.log(`\n@everystate/css v1.0.4 self-test`);
@@ -9,20 +9,88 @@
  *   css.{selector}.{pseudo}.{property}     -> .selector:pseudo { property: value }
  *   css.{sel1}.{sel2}.{property}           -> .sel1 .sel2 { property: value }
  *   css.{sel}.{pseudo}.{sel2}.{property}   -> .sel:pseudo .sel2 { property: value }
+ *   css.{sel}.@{breakpoint}.{property}     -> @media (min-width: ...) { .sel { property: value } }
+ *   css.{sel}.@media({query}).{property}   -> @media (query) { .sel { property: value } }
+ *   css.{sel}.@container({query}).{prop}   -> @container (query) { .sel { property: value } }
+ *   css.{sel}.@supports({cond}).{prop}     -> @supports (cond) { .sel { property: value } }
+ *   css.{sel}.@{condition}.{property}      -> @media print / (prefers-reduced-motion: reduce) / ...
+ *   css.$body.{property}                   -> body { property: value }
+ *   css.{sel}.$>.{sel2}.{property}         -> .sel > .sel2 { property: value }
+ *   css.{sel}.[data-state="open"].{prop}   -> .sel[data-state="open"] { property: value }
+ *   css.@keyframes.{name}.{frame}.{prop}   -> @keyframes name { frame { property: value } }
+ *   css.@layer({name}).{sel}.{property}    -> @layer name { .sel { property: value } }
+ *   css.{sel}.!important.{property}        -> .sel { property: value !important }
+ *
+ * Values ending in '!important' (e.g. '0 !important') also set the declaration priority.
+ *
+ * Values: numbers get 'px' unless the property is unitless (opacity, zIndex, lineHeight, ...);
+ * arrays are joined with spaces (margin: [0, 16] -> '0 16px') or, for list properties like
+ * boxShadow and transition, with commas (each item may be an array for one layer).
+ *
+ * Named conditions: print, screen, dark, light, reducedMotion, motionSafe, highContrast,
+ * lowContrast, forcedColors, canHover; add or override them with the `conditions` option
+ * (e.g. { grid: '@supports (display: grid)' }).
+ *
+ * Literal selectors: '$fragment' is used verbatim as its own compound (elements,
+ * ids, combinators); '&fragment' and '[attr]' attach to the previous compound.
+ * The `selectors` option registers aliases, e.g. { open: '&[data-state="open"]' },
+ * matching the data-state attributes cssState writes.
+ *
+ * Properties: camelCase names from CSS_PROPERTIES (extendable via options),
+ *             '--custom' properties, and vendor-prefixed names (WebkitBackdropFilter)
  *
  * Pseudo-classes: hover, focus, active, disabled, visited, firstChild, lastChild,
  *                 focusWithin, focusVisible, checked, empty, invalid, valid
  * Pseudo-elements: before, after, placeholder, selection
+ * Functional pseudo-classes: nthChild(2n+1), nthLastChild(), nthOfType(), nthLastOfType(),
+ *                            not(), is(), where(), has(), lang(), dir()
+ *                            e.g. css.row.nthChild(even).background, css.card.has(.img).padding
+ *
+ * State already under the namespace when the engine is created is compiled right
+ * away; engine.resync() rebuilds the whole sheet from current state.
+ *
+ * SSR: render compileCSS(state) into <style id="everystate-css"> on the server and
+ * create the engine with { hydrate: true } to adopt that element instead of
+ * building a second copy of every rule.
+ *
+ * Setting a path (or a whole subtree) to null/undefined removes its declarations;
+ * rules and at-rule groups left empty are deleted from the sheet.
+ *
+ * Cascade layers: { layers: ['base', 'components'] } declares the layer order up
+ * front, and { layer: 'components' } puts every rule of an engine in one layer, so
+ * styles from different modules cascade by layer rather than by insertion order.
+ *
+ * Scoping: { scope: 'shop' } turns class segments into scoped names ('.card_x7f2k',
+ * or '.shop-card' with classNames: 'prefix'); engine.classFor('card') gives the
+ * class to use in markup. Literal selectors and aliases are never scoped.
+ *
+ * Pass { target: shadowRoot } (or several roots) to style shadow DOM through
+ * adoptedStyleSheets instead of a <style> element in document.head.
+ *
+ * With { schedule: 'frame' } (or 'microtask') writes are batched, so bulk updates
+ * such as a theme swap touch the CSSOM once; call engine.flush() to apply early.
+ *
+ * compileCSS(state) applies the same rules without a DOM and returns CSS text.
+ *
+ * Introspection: engine.explain('.btn') lists the store paths behind each declaration,
+ * engine.toCSSText() dumps the generated CSS, and engine.diff(engine.snapshot()) reports
+ * what changed since a snapshot was taken.
  *
  * @example
  *   import { createStyleEngine } from '@everystate/css/styleEngine';
  *   const engine = createStyleEngine(store);
  *   store.set('css.card.background', '#fff');
  *   store.set('css.card.hover.boxShadow', '0 4px 6px rgba(0,0,0,0.1)');
+ *   store.set('css.card.@md.padding', '2rem');
+ *   store.set('css.card.@container(min-width:400px).gap', '1rem');
  */
 
-const CSS_PROPERTIES = new Set([
+export const CSS_PROPERTIES = new Set([
   'accentColor','alignContent','alignItems','alignSelf',
+  'animation','animationComposition','animationDelay','animationDirection','animationDuration',
+  'animationFillMode','animationIterationCount','animationName','animationPlayState',
+  'animationTimingFunction','appearance','aspectRatio',
+  'backdropFilter',
   'background','backgroundColor','backgroundImage','backgroundPosition','backgroundRepeat','backgroundSize',
   'border','borderBottom','borderBottomColor','borderBottomLeftRadius','borderBottomRightRadius',
   'borderBottomStyle','borderBottomWidth','borderCollapse','borderColor','borderLeft',
@@ -30,36 +98,41 @@ const CSS_PROPERTIES = new Set([
   'borderRightColor','borderRightStyle','borderRightWidth','borderSpacing','borderStyle',
   'borderTop','borderTopColor','borderTopLeftRadius','borderTopRightRadius','borderTopStyle',
   'borderTopWidth','borderWidth',
-  'bottom','boxShadow','boxSizing',
+  'borderBlock','borderBlockEnd','borderBlockStart','borderInline','borderInlineEnd','borderInlineStart',
+  'blockSize','bottom','boxShadow','boxSizing',
   'caretColor','clear','clipPath','color','columnCount','columnGap','columnRule','columns',
-  'content','cursor',
+  'contain','container','containerName','containerType','content','contentVisibility','cursor',
   'direction','display',
   'fill','filter','flex','flexBasis','flexDirection','flexFlow','flexGrow','flexShrink','flexWrap',
   'float','font','fontFamily','fontFeatureSettings','fontSize','fontStyle','fontVariant',
   'fontVariantNumeric','fontWeight',
-  'gap','gridAutoColumns','gridAutoFlow','gridAutoRows','gridColumn','gridColumnEnd',
+  'gap','gridArea','gridTemplate','gridAutoColumns','gridAutoFlow','gridAutoRows','gridColumn','gridColumnEnd',
   'gridColumnGap','gridColumnStart','gridGap','gridRow','gridRowEnd','gridRowGap',
   'gridRowStart','gridTemplateAreas','gridTemplateColumns','gridTemplateRows',
-  'height',
-  'isolation',
+  'height','hyphens',
+  'inlineSize','inset','insetBlock','insetBlockEnd','insetBlockStart',
+  'insetInline','insetInlineEnd','insetInlineStart','isolation',
   'justifyContent','justifyItems','justifySelf',
   'left','letterSpacing','lineHeight','listStyle','listStylePosition','listStyleType',
   'margin','marginBottom','marginLeft','marginRight','marginTop',
-  'maxHeight','maxWidth','minHeight','minWidth','mixBlendMode',
+  'marginBlock','marginBlockEnd','marginBlockStart','marginInline','marginInlineEnd','marginInlineStart',
+  'maxBlockSize','maxHeight','maxInlineSize','maxWidth',
+  'minBlockSize','minHeight','minInlineSize','minWidth','mixBlendMode',
   'objectFit','objectPosition','opacity','order','outline','outlineColor',
   'outlineOffset','outlineStyle','outlineWidth','overflow','overflowWrap',
-  'overflowX','overflowY',
+  'overflowX','overflowY','overscrollBehavior',
   'padding','paddingBottom','paddingLeft','paddingRight','paddingTop',
+  'paddingBlock','paddingBlockEnd','paddingBlockStart','paddingInline','paddingInlineEnd','paddingInlineStart',
   'perspective','placeContent','placeItems','placeSelf',
   'pointerEvents','position',
   'resize','right','rotate','rowGap',
-  'scale','scrollBehavior','scrollMargin','scrollPadding',
+  'scale','scrollBehavior','scrollMargin','scrollPadding','scrollSnapAlign','scrollSnapType',
   'stroke','strokeDasharray','strokeDashoffset','strokeLinecap','strokeLinejoin',
   'strokeOpacity','strokeWidth',
   'tableLayout','textAlign','textDecoration','textDecorationColor','textDecorationLine',
-  'textDecorationStyle','textIndent','textOverflow','textShadow','textTransform',
-  'top','transform','transformOrigin','transition','transitionDelay',
-  'transitionDuration','transitionProperty','transitionTimingFunction',
+  'textDecorationStyle','textIndent','textOverflow','textShadow','textTransform','textWrap',
+  'top','touchAction','transform','transformOrigin','transition','transitionDelay',
+  'transitionDuration','transitionProperty','transitionTimingFunction','translate',
   'userSelect',
   'verticalAlign','visibility',
   'whiteSpace','width','willChange','wordBreak','wordSpacing','writingMode',
@@ -85,6 +158,19 @@ const PSEUDO_CLASSES = new Map([
   ['focusVisible', ':focus-visible'],
 ]);
 
+const FUNCTIONAL_PSEUDO_CLASSES = new Map([
+  ['nthChild', ':nth-child'],
+  ['nthLastChild', ':nth-last-child'],
+  ['nthOfType', ':nth-of-type'],
+  ['nthLastOfType', ':nth-last-of-type'],
+  ['not', ':not'],
+  ['is', ':is'],
+  ['where', ':where'],
+  ['has', ':has'],
+  ['lang', ':lang'],
+  ['dir', ':dir'],
+]);
+
 const PSEUDO_ELEMENTS = new Map([
   ['before', '::before'],
   ['after', '::after'],
@@ -92,106 +178,1129 @@ const PSEUDO_ELEMENTS = new Map([
   ['selection', '::selection'],
 ]);
 
+const DEFAULT_BREAKPOINTS = {
+  sm: '640px',
+  md: '768px',
+  lg: '1024px',
+  xl: '1280px',
+};
+
+// Vendor-prefixed camelCase names: WebkitBackdropFilter, MozAppearance, msTransform.
+// They pass the property filter only when the unprefixed name is registered.
+const VENDOR_PREFIX_RE = /^(Webkit|Moz|ms)([A-Z])/;
+
+// Named condition segments ('@print', '@reducedMotion'); bare values are media queries
+const DEFAULT_CONDITIONS = {
+  print: 'print',
+  screen: 'screen',
+  dark: '(prefers-color-scheme: dark)',
+  light: '(prefers-color-scheme: light)',
+  reducedMotion: '(prefers-reduced-motion: reduce)',
+  motionSafe: '(prefers-reduced-motion: no-preference)',
+  highContrast: '(prefers-contrast: more)',
+  lowContrast: '(prefers-contrast: less)',
+  forcedColors: '(forced-colors: active)',
+  canHover: '(hover: hover)',
+};
+
 function camelToKebab(s) {
-  return s.replace(/([A-Z])/g, '-$1').toLowerCase();
+  if (s.startsWith('--')) return s; // custom properties are case-sensitive
+  return s.replace(/^ms([A-Z])/, 'Ms$1').replace(/([A-Z])/g, '-$1').toLowerCase();
 }
 
 /**
- * Create a style engine that compiles state paths to CSS rules.
+ * Split a dot-path into segments, ignoring dots inside (), [] and quotes
+ * so that segments like '@container(min-width:40.5rem)' stay intact.
+ */
+function splitPath(path) {
+  const segments = [];
+  let current = '';
+  let depth = 0;
+  let quote = null;
+  for (const ch of path) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      depth++;
+    } else if (ch === ')' || ch === ']') {
+      depth--;
+    } else if (ch === '.' && depth === 0) {
+      segments.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  segments.push(current);
+  return segments;
+}
+
+/**
+ * Normalize a condition to the form browsers serialize it in,
+ * e.g. '(min-width:400px)' -> '(min-width: 400px)'.
+ */
+function normalizeCondition(condition) {
+  const collapsed = condition.trim().replace(/\s+/g, ' ');
+  // selector(a:hover) in @supports must keep its colons untouched
+  return collapsed.includes('selector(') ? collapsed : collapsed.replace(/\s*:\s*/g, ': ');
+}
+
+/**
+ * Turn a breakpoint value into a media query. Bare lengths become
+ * min-width queries; anything else is used as written.
+ */
+function breakpointQuery(value) {
+  const v = String(value).trim();
+  return /^-?\d/.test(v) ? `(min-width: ${v})` : normalizeCondition(v);
+}
+
+// Characters that would let a literal fragment escape its selector
+const UNSAFE_SELECTOR_RE = /[{};]/;
+
+// Plain segments become class names, so they must be valid CSS identifiers
+const CLASS_NAME_RE = /^-?[_a-zA-Z\u00A0-\uFFFF][\w\u00A0-\uFFFF-]*$/;
+
+// An+B microsyntax, optionally followed by 'of <selector>' (nth-child only)
+const NTH_RE = /^(odd|even|[+-]?\d*n(\s*[+-]\s*\d+)?|[+-]?\d+)(\s+of\s+.+)?$/i;
+
+/**
+ * Check that a pseudo-class argument cannot break out of its parentheses:
+ * brackets and quotes must balance and no block/statement characters are allowed.
+ */
+function isSafeArgument(arg) {
+  if (!arg || UNSAFE_SELECTOR_RE.test(arg) || arg.includes('\\')) return false;
+  const closing = [];
+  let quote = null;
+  for (const ch of arg) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(' || ch === '[') {
+      closing.push(ch === '(' ? ')' : ']');
+    } else if (ch === ')' || ch === ']') {
+      if (closing.pop() !== ch) return false;
+    }
+  }
+  return !quote && closing.length === 0;
+}
+
+/**
+ * Parse a functional pseudo-class segment ('nthChild(2n)', 'has(.img)') into
+ * selector text. Returns undefined for non-functional segments and null for
+ * unknown functions or unsafe/invalid arguments.
+ */
+function parseFunctionalPseudo(seg) {
+  const match = seg.match(/^([a-zA-Z]+)\((.*)\)$/);
+  if (!match) return undefined;
+  const pseudo = FUNCTIONAL_PSEUDO_CLASSES.get(match[1]);
+  const arg = match[2].trim().replace(/\s+/g, ' ');
+  if (!pseudo || !isSafeArgument(arg)) return null;
+  if (pseudo.startsWith(':nth-') && !NTH_RE.test(arg)) return null;
+  return `${pseudo}(${arg})`;
+}
+
+const KEYFRAMES_NAME_RE = /^-?[_a-zA-Z][\w-]*$/;
+const KEYFRAME_SELECTOR_RE = /^(from|to|\d+(\.\d+)?%)(\s*,\s*(from|to|\d+(\.\d+)?%))*$/;
+
+const KEYFRAME_KEYWORDS = { from: '0%', to: '100%' };
+
+/**
+ * Canonical form of a selector for rule lookup. Browsers serialize
+ * selectorText/keyText differently from parsePath output ('from' -> '0%',
+ * [a=b] -> [a="b"], ':nth-child(2n + 1)' -> ':nth-child(2n+1)'), so a
+ * hydrated sheet and the engine key their rules through this.
+ * Pass keyframe=true for keyframe selectors inside @keyframes.
+ */
+function normalizeSelectorKey(selector, keyframe = false) {
+  if (keyframe) {
+    return selector.split(',').map(s => KEYFRAME_KEYWORDS[s.trim()] || s.trim()).join(', ');
+  }
+  return selector
+    .replace(/\[\s*([^\s\]~|^$*=]+)\s*([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s\]"']+))\s*([is])?\s*\]/g,
+      (m, name, op, dq, sq, bare, flag) => `[${name}${op}"${dq ?? sq ?? bare}"${flag ? ` ${flag}` : ''}]`)
+    .replace(/(:nth-[a-z-]+\()([^)]*?)(?=\s+of\s|\s*\))/g, (m, fn, arg) => fn + arg.replace(/\s+/g, ''));
+}
+
+const LAYER_NAME_RE = /^-?[_a-zA-Z][\w-]*(\.-?[_a-zA-Z][\w-]*)*$/;
+
+/**
+ * Turn a named condition value into an at-rule prelude: values starting with
+ * '@media', '@supports' or '@container' are used as-is, anything else is a media query.
+ */
+function conditionPrelude(value) {
+  const v = String(value).trim();
+  const at = v.match(/^@(media|supports|container)\s+(.+)$/);
+  return at ? `@${at[1]} ${normalizeCondition(at[2])}` : `@media ${normalizeCondition(v)}`;
+}
+
+/**
+ * Parse an at-rule segment ('@md', '@print', '@media(print)', '@supports(display:grid)',
+ * '@container(min-width:400px)', '@layer(base)') into an at-rule prelude,
+ * or null if it cannot be resolved. Named segments go through resolveNamed.
+ */
+function parseAtSegment(seg, resolveNamed) {
+  const layer = seg.match(/^@layer\((.*)\)$/);
+  if (layer) {
+    const name = layer[1].trim();
+    return LAYER_NAME_RE.test(name) ? `@layer ${name}` : null;
+  }
+  const fn = seg.match(/^@(media|container|supports)\((.*)\)$/);
+  if (fn) {
+    const condition = normalizeCondition(fn[2]);
+    if (!condition) return null;
+    // Bare features get parens; media types and container names pass through as-is
+    const wrapped = condition.includes(':') && !condition.includes('(')
+      ? `(${condition})`
+      : condition;
+    return `@${fn[1]} ${wrapped}`;
+  }
+  return resolveNamed(seg.slice(1));
+}
+
+/**
+ * Resolve a literal selector segment: an alias from the `selectors` map,
+ * '$fragment' (own compound), or '&fragment' / '[attr]' (attached to the
+ * previous compound). Returns null for ordinary class-name segments.
+ */
+function literalSegment(seg, selectors) {
+  let fragment;
+  if (Object.prototype.hasOwnProperty.call(selectors, seg)) {
+    fragment = String(selectors[seg]);
+  } else if (seg.startsWith('$') && seg.length > 1) {
+    fragment = seg.slice(1);
+  } else if (seg.startsWith('&') || seg.startsWith('[')) {
+    fragment = seg;
+  } else {
+    return null;
+  }
+  const attach = fragment.startsWith('&') || fragment.startsWith('[');
+  return { fragment: fragment.replace(/^&/, ''), attach };
+}
+
+/**
+ * Build the property check used by the parser: custom properties always pass,
+ * vendor-prefixed names pass when their unprefixed name is registered.
+ */
+function createPropertyFilter(properties, extraProperties, unknownProperties) {
+  const registry = new Set([...properties, ...extraProperties]);
+  const warned = new Set();
+
+  return function isAllowed(prop, fullPath) {
+    if (prop.startsWith('--') && prop.length > 2) return true;
+    if (registry.has(prop)) return true;
+    const prefixed = prop.match(VENDOR_PREFIX_RE);
+    if (prefixed && registry.has(prefixed[2].toLowerCase() + prop.slice(prefixed[0].length))) {
+      return true;
+    }
+    if (unknownProperties === 'warn' && !warned.has(prop)) {
+      warned.add(prop);
+      console.warn(`[style-engine] Unknown CSS property '${prop}' (${fullPath}), declaration dropped.`);
+    }
+    return false;
+  };
+}
+
+/**
+ * FNV-1a hash of a string, as a short base-36 suffix.
+ */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36).slice(0, 5);
+}
+
+/**
+ * Scope a class name so engines with different scopes cannot collide.
+ * The result is deterministic, so server and client agree on it.
  *
- * @param {Object} store - An EveryState store instance
- * @param {Object} [options]
- * @param {string} [options.namespace='css'] - State namespace to watch
- * @param {string} [options.id='everystate-css'] - ID for the injected <style> element
- * @returns {{ destroy: Function, getSheet: Function, getRules: Function }}
+ * @param {string} name - Class name as used in style paths (e.g. 'card')
+ * @param {string} scope - Scope key (e.g. the micro-frontend name)
+ * @param {'hash'|'prefix'} [mode='hash'] - 'card_x7f2k' or 'scope-card'
+ * @returns {string} Scoped class name (without the leading dot)
  */
-export function createStyleEngine(store, { namespace = 'css', id = 'everystate-css' } = {}) {
-  const styleEl = document.createElement('style');
-  styleEl.id = id;
-  document.head.appendChild(styleEl);
-  const sheet = styleEl.sheet;
-  const ruleMap = new Map();
+export function scopeClass(name, scope, mode = 'hash') {
+  if (!scope) return name;
+  return mode === 'prefix' ? `${scope}-${name}` : `${name}_${hashString(`${scope}:${name}`)}`;
+}
 
-  function getOrCreateRule(selector) {
-    if (!ruleMap.has(selector)) {
-      const idx = sheet.insertRule(`${selector} {}`, sheet.cssRules.length);
-      ruleMap.set(selector, sheet.cssRules[idx]);
+/**
+ * Scope the class selectors inside a functional pseudo-class argument
+ * (':has(.img)' -> ':has(.img_x7f2k)') so they match classFor() markup.
+ * Quoted strings and attribute brackets are left untouched.
+ */
+function scopeSelectorClasses(selector, scope, mode) {
+  if (!scope) return selector;
+  let out = '';
+  let quote = null;
+  let brackets = 0;
+  for (let i = 0; i < selector.length; i++) {
+    const ch = selector[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '[') {
+      brackets++;
+    } else if (ch === ']') {
+      brackets--;
+    } else if (ch === '.' && brackets === 0) {
+      const name = selector.slice(i + 1).match(/^-?[_a-zA-Z\u00A0-\uFFFF][\w\u00A0-\uFFFF-]*/);
+      if (name) {
+        out += '.' + scopeClass(name[0], scope, mode);
+        i += name[0].length;
+        continue;
+      }
     }
-    return ruleMap.get(selector);
+    out += ch;
   }
+  return out;
+}
 
-  function applyProperty(selector, prop, value) {
-    const rule = getOrCreateRule(selector);
-    rule.style.setProperty(camelToKebab(prop), value);
+/**
+ * Create a parser that turns a store path into { selector, prop, at }.
+ * Shared by the live engine and compileCSS so both follow the same rules.
+ *
+ * @param {Object} options - Engine options (see createStyleEngine)
+ * @param {Function} get - Reads a value by path (store.get or equivalent)
+ * @returns {Function} parsePath(fullPath) -> { selector, prop, at, important } | null
+ */
+function createPathParser({
+  namespace = 'css',
+  breakpoints = DEFAULT_BREAKPOINTS,
+  selectors = {},
+  properties = CSS_PROPERTIES,
+  extraProperties = [],
+  unknownProperties = 'drop',
+  conditions = {},
+  layer = null,
+  scope = null,
+  classNames = 'hash',
+} = {}, get) {
+  const isAllowedProperty = createPropertyFilter(properties, extraProperties, unknownProperties);
+  const namedConditions = { ...DEFAULT_CONDITIONS, ...conditions };
+
+  function resolveBreakpoint(name) {
+    return typeof breakpoints === 'string'
+      ? get(`${breakpoints}.${name}`)
+      : breakpoints[name];
+  }
+
+  // Named conditions take precedence over breakpoints with the same name
+  function resolveNamed(name) {
+    if (Object.prototype.hasOwnProperty.call(namedConditions, name)) {
+      return conditionPrelude(namedConditions[name]);
+    }
+    const value = resolveBreakpoint(name);
+    return value == null ? null : `@media ${breakpointQuery(value)}`;
   }
 
-  function parsePath(fullPath) {
+  return function parsePath(fullPath) {
     const path = fullPath.startsWith(namespace + '.')
       ? fullPath.slice(namespace.length + 1)
       : fullPath;
 
-    const segments = path.split('.');
+    const segments = splitPath(path);
     const prop = segments[segments.length - 1];
 
-    if (!CSS_PROPERTIES.has(prop)) return null;
+    if (!isAllowedProperty(prop, fullPath)) return null;
 
     const selectorParts = [];
+    const at = layer ? [`@layer ${layer}`] : [];
     let pseudoSuffix = '';
+    let important = false;
+
+    function pushPart(part, attach = false) {
+      const last = selectorParts.length - 1;
+      if (pseudoSuffix && last >= 0) {
+        selectorParts[last] += pseudoSuffix;
+        pseudoSuffix = '';
+      }
+      if (attach && last >= 0) {
+        selectorParts[last] += part;
+      } else {
+        selectorParts.push(part);
+      }
+    }
 
     for (let i = 0; i < segments.length - 1; i++) {
       const seg = segments[i];
-      if (PSEUDO_CLASSES.has(seg)) {
+      const literal = literalSegment(seg, selectors);
+      if (seg === '!important') {
+        important = true;
+      } else if (seg === '@keyframes') {
+        // @keyframes.{name}.{frame}.{property}: the frame is the whole selector
+        const [name, frame] = segments.slice(i + 1, -1);
+        if (selectorParts.length || segments.length - i !== 4) return null;
+        if (!KEYFRAMES_NAME_RE.test(name) || !KEYFRAME_SELECTOR_RE.test(frame)) return null;
+        at.push(`@keyframes ${name}`);
+        // !important is ignored inside keyframes, so it is not carried over
+        return { selector: frame, prop, at, important: false };
+      } else if (literal) {
+        if (!literal.fragment || UNSAFE_SELECTOR_RE.test(literal.fragment)) return null;
+        pushPart(literal.fragment, literal.attach);
+      } else if (seg.startsWith('@')) {
+        const prelude = parseAtSegment(seg, resolveNamed);
+        if (!prelude || UNSAFE_SELECTOR_RE.test(prelude)) return null;
+        at.push(prelude);
+      } else if (PSEUDO_CLASSES.has(seg)) {
         pseudoSuffix += PSEUDO_CLASSES.get(seg);
       } else if (PSEUDO_ELEMENTS.has(seg)) {
         pseudoSuffix += PSEUDO_ELEMENTS.get(seg);
       } else {
-        if (pseudoSuffix) {
-          selectorParts[selectorParts.length - 1] += pseudoSuffix;
-          pseudoSuffix = '';
+        const functional = parseFunctionalPseudo(seg);
+        if (functional === null) return null;
+        if (functional) {
+          pseudoSuffix += scopeSelectorClasses(functional, scope, classNames);
+        } else if (CLASS_NAME_RE.test(seg)) {
+          pushPart('.' + scopeClass(seg, scope, classNames));
+        } else {
+          return null;
         }
-        selectorParts.push('.' + seg);
       }
     }
 
     const selector = (selectorParts.length ? selectorParts.join(' ') : ':root') + pseudoSuffix;
-    return { selector, prop };
+    return { selector, prop, at, important };
+  };
+}
+
+// Properties whose numeric values stay unitless; every other number gets 'px'
+const UNITLESS_PROPERTIES = new Set([
+  'animationIterationCount','aspectRatio','borderImageOutset','borderImageSlice','borderImageWidth',
+  'columnCount','columns','fillOpacity','flex','flexGrow','flexShrink','floodOpacity','fontWeight',
+  'gridArea','gridColumn','gridColumnEnd','gridColumnStart','gridRow','gridRowEnd','gridRowStart',
+  'lineClamp','lineHeight','opacity','order','orphans','scale','stopOpacity','strokeMiterlimit',
+  'strokeOpacity','strokeWidth','tabSize','widows','zIndex','zoom',
+]);
+
+// Properties that take comma-separated lists; arrays are joined with ', '
+// (each item may itself be an array, joined with spaces: one shadow layer, etc.)
+const COMMA_LIST_PROPERTIES = new Set([
+  'animation','animationDelay','animationDirection','animationDuration','animationFillMode',
+  'animationIterationCount','animationName','animationPlayState','animationTimingFunction',
+  'background','backgroundImage','boxShadow','fontFamily','fontFeatureSettings','textShadow',
+  'transition','transitionDelay','transitionDuration','transitionProperty','transitionTimingFunction',
+  'willChange',
+]);
+
+/**
+ * Property name without a vendor prefix (WebkitLineClamp -> lineClamp);
+ * custom properties are returned as-is.
+ */
+function baseProperty(prop) {
+  return prop.startsWith('--') ? prop : prop.replace(VENDOR_PREFIX_RE, (m, v, c) => c.toLowerCase());
+}
+
+/**
+ * Whether numbers written to a property stay unitless (lineHeight: 1.5) rather
+ * than getting 'px'. Custom properties count as unitless.
+ *
+ * @param {string} prop - camelCase property name
+ * @returns {boolean}
+ */
+export function isUnitlessProperty(prop) {
+  const base = baseProperty(prop);
+  return base.startsWith('--') || UNITLESS_PROPERTIES.has(base);
+}
+
+/**
+ * Format a raw state value as CSS text for a property: numbers get 'px' unless
+ * the property is unitless, arrays are joined (commas for list properties,
+ * spaces otherwise, e.g. margin: [0, 16] -> '0 16px').
+ */
+function formatValue(value, prop) {
+  if (Array.isArray(value)) {
+    const format = (item) => (Array.isArray(item) ? item.map(format).join(' ') : formatValue(item, prop));
+    return value.map(format).join(COMMA_LIST_PROPERTIES.has(baseProperty(prop)) ? ', ' : ' ');
   }
+  if (typeof value === 'number') {
+    return value === 0 || isUnitlessProperty(prop) ? String(value) : `${value}px`;
+  }
+  return String(value);
+}
 
-  function processPath(fullPath, value) {
-    if (typeof value === 'object' && value !== null) {
-      walkLeaves(fullPath, value);
-      return;
+const IMPORTANT_RE = /\s*!\s*important\s*$/i;
+
+/**
+ * Split a trailing '!important' off a value: '0 !important' -> { value: '0', important: true }.
+ */
+function splitPriority(value) {
+  const str = String(value);
+  return IMPORTANT_RE.test(str)
+    ? { value: str.replace(IMPORTANT_RE, ''), important: true }
+    : { value: str, important: false };
+}
+
+/**
+ * Create the value pipeline shared by the engine and compileCSS: user normalizers
+ * run first (value, prop, path) -> value, then built-in formatting and
+ * '!important' splitting. Returns null when there is nothing to write.
+ *
+ * @param {Function[]} normalizers - Custom transforms, applied in order
+ * @returns {Function} normalize(value, prop, path) -> { value, important } | null
+ */
+function createValueNormalizer(normalizers = []) {
+  return function normalize(value, prop, path) {
+    let v = value;
+    for (const fn of normalizers) {
+      v = fn(v, prop, path);
+    }
+    return v == null ? null : splitPriority(formatValue(v, prop));
+  };
+}
+
+/**
+ * Call fn(path, value) for every leaf under a value (the value itself if it is a leaf).
+ * Arrays are leaves: they hold list values such as margin: [0, 16].
+ */
+function forEachLeaf(path, value, fn) {
+  if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+    for (const [k, v] of Object.entries(value)) {
+      forEachLeaf(`${path}.${k}`, v, fn);
+    }
+  } else {
+    fn(path, value);
+  }
+}
+
+function getPath(obj, path) {
+  return path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+// Conditional group rules (@media, @container, @supports) go after the plain
+// rules of their block, so a breakpoint override always follows the base rule
+const CONDITIONAL_PRELUDE_RE = /^@(media|container|supports)\b/;
+
+const MIN_WIDTH_QUERY_RE = /^(?:@media\s+)?\(min-width:\s*(\d*\.?\d+)(px|em|rem)\)$/;
+
+/**
+ * Width of a breakpoint group ('@media (min-width: 768px)') in px, or null for
+ * any other condition. Breakpoint groups are kept in ascending width order so
+ * a wider breakpoint always wins over a narrower one.
+ */
+function minWidthOf(condition) {
+  const match = typeof condition === 'string' ? condition.trim().match(MIN_WIDTH_QUERY_RE) : null;
+  if (!match) return null;
+  return parseFloat(match[1]) * (match[2] === 'px' ? 1 : 16);
+}
+
+/**
+ * Order conditional groups for output: breakpoint groups are sorted by width
+ * within the slots they occupy, everything else keeps its write order.
+ */
+function orderConditional(nodes) {
+  const slots = [];
+  nodes.forEach((node, i) => { if (minWidthOf(node.prelude) !== null) slots.push(i); });
+  const sorted = slots.map(i => nodes[i]).sort((a, b) => minWidthOf(a.prelude) - minWidthOf(b.prelude));
+  const ordered = [...nodes];
+  slots.forEach((slot, i) => { ordered[slot] = sorted[i]; });
+  return ordered;
+}
+
+/**
+ * Serialize a compiled block (Map of rules and at-rule groups) to CSS text.
+ * Conditional groups follow the other nodes; each part keeps first-appearance order.
+ */
+function serializeBlock(block, indent = '') {
+  const chunks = [];
+  const nodes = [...block.values()];
+  const isConditional = node => node.block && CONDITIONAL_PRELUDE_RE.test(node.prelude);
+  for (const node of [...nodes.filter(n => !isConditional(n)), ...orderConditional(nodes.filter(isConditional))]) {
+    if (node.block) {
+      const body = serializeBlock(node.block, indent + '  ');
+      if (body) chunks.push(`${indent}${node.prelude} {\n${body}\n${indent}}`);
+    } else if (node.decls.size) {
+      const decls = [...node.decls]
+        .map(([prop, value]) => `${indent}  ${prop}: ${value};`)
+        .join('\n');
+      chunks.push(`${indent}${node.selector} {\n${decls}\n${indent}}`);
+    }
+  }
+  return chunks.join(indent ? '\n' : '\n\n');
+}
+
+/**
+ * Add a declaration to a compiled block, creating its at-rule groups and rule
+ * on first use (so output follows first-appearance order).
+ */
+function addDeclaration(root, { selector, prop, at, value, important }) {
+  let block = root;
+  for (const prelude of at) {
+    if (!block.has(prelude)) block.set(prelude, { prelude, block: new Map() });
+    block = block.get(prelude).block;
+  }
+  if (!block.has(selector)) {
+    block.set(selector, { selector, decls: new Map() });
+  }
+  block.get(selector).decls.set(camelToKebab(prop), important ? `${value} !important` : value);
+}
+
+/**
+ * Serialize a compiled block, preceded by the @layer order statement if any.
+ */
+function renderCSS(root, layers = []) {
+  const body = serializeBlock(root);
+  if (!layers.length) return body;
+  const statement = `@layer ${layers.join(', ')};`;
+  return body ? `${statement}\n\n${body}` : statement;
+}
+
+/**
+ * Compare two style snapshots ({ ruleKey: { property: value } }).
+ * @returns {{ added: Object[], removed: Object[], changed: Object[] }}
+ */
+function diffSnapshots(prev = {}, next = {}) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [rule, decls] of Object.entries(next)) {
+    const before = prev[rule] || {};
+    for (const [property, value] of Object.entries(decls)) {
+      if (!(property in before)) added.push({ rule, property, value });
+      else if (before[property] !== value) changed.push({ rule, property, from: before[property], to: value });
+    }
+  }
+  for (const [rule, decls] of Object.entries(prev)) {
+    const after = next[rule] || {};
+    for (const [property, value] of Object.entries(decls)) {
+      if (!(property in after)) removed.push({ rule, property, value });
+    }
+  }
+  return { added, removed, changed };
+}
+
+/**
+ * Compile style state to a CSS string without touching the DOM.
+ * Uses the same path rules as createStyleEngine, so the output matches what
+ * the live engine would build; useful for SSR, critical CSS and static builds.
+ *
+ * Rules are emitted in state order (first appearance wins), so the same
+ * state always compiles to the same string.
+ *
+ * @example
+ *   import { compileCSS } from '@everystate/css/styleEngine';
+ *   const css = compileCSS(store);            // or compileCSS({ css: { ... } })
+ *   html = `<style id="everystate-css">${css}</style>`;
+ *
+ * @param {Object} source - An EveryState store, or a plain state object
+ * @param {Object} [options] - Same path options as createStyleEngine
+ * @param {string} [options.namespace='css'] - State namespace to compile
+ * @param {Object|string} [options.breakpoints] - Named breakpoints for '@name' segments
+ * @param {Object} [options.selectors] - Selector aliases: segment name -> selector fragment
+ * @param {Object} [options.conditions] - Named condition segments added to the built-ins
+ * @param {Iterable<string>} [options.properties] - Property registry (default: CSS_PROPERTIES)
+ * @param {Iterable<string>} [options.extraProperties] - Properties added to the registry
+ * @param {'drop'|'warn'} [options.unknownProperties='drop'] - Handling of unregistered properties
+ * @param {string} [options.layer] - Cascade layer wrapping every rule
+ * @param {string[]} [options.layers] - Layer order, emitted first as an @layer statement
+ * @param {Function[]} [options.normalizers] - Custom value transforms (see createStyleEngine)
+ * @param {string} [options.scope] - Scope key for class names (see createStyleEngine)
+ * @param {'hash'|'prefix'} [options.classNames='hash'] - Scoped class format
+ * @returns {string} CSS text
+ */
+export function compileCSS(source, options = {}) {
+  const { namespace = 'css', layers = [] } = options;
+  const get = typeof source.get === 'function'
+    ? (path) => source.get(path)
+    : (path) => getPath(source, path);
+  const parsePath = createPathParser(options, get);
+  const normalize = createValueNormalizer(options.normalizers);
+  const root = new Map();
+
+  const state = get(namespace);
+  if (typeof state === 'object' && state !== null) {
+    forEachLeaf(namespace, state, (path, value) => {
+      if (value == null) return;
+      const parsed = parsePath(path);
+      if (!parsed) return;
+      const decl = normalize(value, parsed.prop, path);
+      if (!decl) return;
+      addDeclaration(root, { ...parsed, value: decl.value, important: parsed.important || decl.important });
+    });
+  }
+
+  return renderCSS(root, layers);
+}
+
+// CSSKeyframesRule takes frames through appendRule(), not insertRule()
+function isKeyframes(rule) {
+  return typeof rule.appendRule === 'function';
+}
+
+function canAdoptSheets(root) {
+  return 'adoptedStyleSheets' in root
+    && typeof CSSStyleSheet === 'function'
+    && 'replaceSync' in CSSStyleSheet.prototype;
+}
+
+/**
+ * Create the sheet the engine writes to. Without a target this is a <style>
+ * in document.head; with Document/ShadowRoot targets a constructable sheet is
+ * adopted by every target when supported, so one sheet styles all of them.
+ * When hydrating, an existing <style id> in the (single) root is reused.
+ *
+ * @returns {{ sheet: CSSStyleSheet, detach: Function, hydrated: boolean }}
+ */
+function attachSheet(target, id, hydrate) {
+  const roots = target == null ? [] : [].concat(target);
+
+  if (hydrate && roots.length <= 1) {
+    const root = roots[0] || document;
+    const existing = typeof root.getElementById === 'function' ? root.getElementById(id) : null;
+    if (existing && existing.sheet) {
+      return { sheet: existing.sheet, detach() { existing.remove(); }, hydrated: true };
+    }
+  }
+
+  if (roots.length && roots.every(canAdoptSheets)) {
+    const sheet = new CSSStyleSheet();
+    for (const root of roots) {
+      root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+    }
+    return {
+      sheet,
+      detach() {
+        for (const root of roots) {
+          root.adoptedStyleSheets = root.adoptedStyleSheets.filter(s => s !== sheet);
+        }
+      },
+      hydrated: false,
+    };
+  }
+
+  if (roots.length > 1) {
+    throw new Error('Multiple style engine targets require constructable stylesheet support');
+  }
+
+  const root = roots[0] || document;
+  const doc = root.ownerDocument || root;
+  const styleEl = doc.createElement('style');
+  styleEl.id = id;
+  (root.head || root).appendChild(styleEl);
+  return { sheet: styleEl.sheet, detach() { styleEl.remove(); }, hydrated: false };
+}
+
+/**
+ * Create a style engine that compiles state paths to CSS rules.
+ *
+ * @param {Object} store - An EveryState store instance
+ * @param {Object} [options]
+ * @param {string} [options.namespace='css'] - State namespace to watch
+ * @param {string} [options.id='everystate-css'] - ID for the injected <style> element
+ * @param {Document|ShadowRoot|Array} [options.target] - Root(s) to style. Uses a constructable
+ *   sheet in adoptedStyleSheets when available (required for more than one root);
+ *   defaults to a <style> element in document.head
+ * @param {Object|string} [options.breakpoints] - Named breakpoints for '@name' segments:
+ *   either a map of name -> width/media query, or a store path to read them from
+ *   (e.g. 'tokens.breakpoint' to use design-system tokens)
+ * @param {Object} [options.selectors] - Selector aliases: segment name -> selector fragment
+ *   (e.g. { open: '&[data-state="open"]', app: '#app' })
+ * @param {Object} [options.conditions] - Named condition segments added to the built-ins:
+ *   name -> media query or full '@supports ...' / '@media ...' prelude
+ * @param {Iterable<string>} [options.properties=CSS_PROPERTIES] - Property registry (camelCase);
+ *   pass your own set to replace the built-in one
+ * @param {Iterable<string>} [options.extraProperties] - Properties added to the registry
+ * @param {'drop'|'warn'} [options.unknownProperties='drop'] - Unregistered properties are always
+ *   dropped; 'warn' also logs a console warning the first time each one is seen
+ * @param {Function[]} [options.normalizers] - Custom value transforms (value, prop, path) -> value,
+ *   run in order before the built-in number/array formatting; return null to skip the declaration
+ * @param {string} [options.layer] - Cascade layer wrapping every rule from this engine
+ * @param {string[]} [options.layers] - Layer order, declared with an @layer statement at the
+ *   top of the sheet (e.g. ['base', 'components', 'overrides'])
+ * @param {string} [options.scope] - Scope key; class segments become scoped class names
+ *   ('card' -> 'card_x7f2k') so separately built apps cannot overwrite each other
+ * @param {'hash'|'prefix'} [options.classNames='hash'] - Scoped class format:
+ *   hashed suffix or '{scope}-{name}' prefix
+ * @param {boolean} [options.hydrate=false] - Reuse a prerendered <style id> (e.g. from
+ *   compileCSS on the server): its rules are indexed, only differing values are
+ *   patched, and declarations state no longer produces are removed
+ * @param {'sync'|'microtask'|'frame'} [options.schedule='sync'] - When state changes reach the
+ *   sheet: immediately, or collected and flushed once per microtask / animation frame
+ * @returns {{ destroy: Function, getSheet: Function, getRules: Function, flush: Function, resync: Function,
+ *   explain: Function, snapshot: Function, diff: Function, toCSSText: Function }}
+ */
+export function createStyleEngine(store, options = {}) {
+  const {
+    namespace = 'css',
+    id = 'everystate-css',
+    schedule = 'sync',
+    target,
+    layers = [],
+    scope = null,
+    classNames = 'hash',
+    hydrate = false,
+  } = options;
+  const { sheet, detach, hydrated } = attachSheet(target, id, hydrate);
+
+  function declareLayers() {
+    if (layers.length) {
+      sheet.insertRule(`@layer ${layers.join(', ')};`, 0);
     }
-    const parsed = parsePath(fullPath);
-    if (parsed) {
-      applyProperty(parsed.selector, parsed.prop, String(value));
+  }
+  // A prerendered sheet already carries its layer statement (see compileCSS)
+  const hasLayerStatement = hydrated
+    && Array.prototype.some.call(sheet.cssRules, r => /^@layer[^{]*;$/.test(r.cssText));
+  if (!hasLayerStatement) declareLayers();
+  // ruleMap: Map<lookupKey, CSSStyleRule>, keyed by canonical selector (prefixed by its at-rules, if any)
+  const ruleMap = new Map();
+  // groupMap: Map<at-rule chain, CSSGroupingRule>
+  const groupMap = new Map();
+  // applied: Map<store path, parsed path + written value>, the declarations currently written per path
+  const applied = new Map();
+  const parsePath = createPathParser(options, (path) => store.get(path));
+  const normalize = createValueNormalizer(options.normalizers);
+
+  function ruleKey(selector, at = []) {
+    return at.length ? `${at.join(' ')} ${selector}` : selector;
+  }
+
+  // ruleMap key: like ruleKey, with the selector in canonical form
+  function lookupKey(selector, at = []) {
+    const keyframe = at.length > 0 && at[at.length - 1].startsWith('@keyframes');
+    return ruleKey(normalizeSelectorKey(selector, keyframe), at);
+  }
+
+  /**
+   * Insertion index for a new rule: conditional groups go last (breakpoint
+   * groups by ascending width), everything else before the first conditional
+   * group (the order compileCSS emits).
+   */
+  function insertionIndex(parent, conditional, prelude) {
+    const rules = parent.cssRules;
+    const width = conditional ? minWidthOf(prelude) : null;
+    for (let i = 0; i < rules.length; i++) {
+      const condition = rules[i].conditionText !== undefined
+        ? rules[i].conditionText
+        : rules[i].media && rules[i].media.mediaText;
+      if (!conditional && condition !== undefined) return i;
+      // A breakpoint group goes before the first wider breakpoint group
+      if (width !== null && minWidthOf(condition) > width) return i;
     }
+    return rules.length;
   }
 
-  function walkLeaves(prefix, obj) {
-    for (const [k, v] of Object.entries(obj)) {
-      const p = `${prefix}.${k}`;
-      if (typeof v === 'object' && v !== null) {
-        walkLeaves(p, v);
+  function getOrCreateGroup(at) {
+    let parent = sheet;
+    for (let i = 0; i < at.length; i++) {
+      const key = at.slice(0, i + 1).join(' ');
+      if (!groupMap.has(key)) {
+        const idx = parent.insertRule(`${at[i]} {}`, insertionIndex(parent, CONDITIONAL_PRELUDE_RE.test(at[i]), at[i]));
+        groupMap.set(key, parent.cssRules[idx]);
+      }
+      parent = groupMap.get(key);
+    }
+    return parent;
+  }
+
+  function getOrCreateRule(selector, at = []) {
+    const key = lookupKey(selector, at);
+    if (!ruleMap.has(key)) {
+      const parent = getOrCreateGroup(at);
+      if (isKeyframes(parent)) {
+        parent.appendRule(`${selector} {}`);
+        ruleMap.set(key, parent.cssRules[parent.cssRules.length - 1]);
       } else {
-        processPath(p, v);
+        const idx = parent.insertRule(`${selector} {}`, insertionIndex(parent, false));
+        ruleMap.set(key, parent.cssRules[idx]);
       }
     }
+    return ruleMap.get(key);
+  }
+
+  function applyProperty(selector, prop, value, at = [], important = false) {
+    const rule = getOrCreateRule(selector, at);
+    const name = camelToKebab(prop);
+    const priority = important ? 'important' : '';
+    if (rule.style.getPropertyValue(name) !== value || rule.style.getPropertyPriority(name) !== priority) {
+      rule.style.setProperty(name, value, priority);
+    }
+  }
+
+  /**
+   * Index the rules of a prerendered sheet into ruleMap/groupMap, keyed the
+   * same way parsePath results are, so existing rules are reused.
+   */
+  function indexRules(container, at = []) {
+    for (const rule of container.cssRules) {
+      const selector = rule.selectorText !== undefined ? rule.selectorText : rule.keyText;
+      if (selector !== undefined) {
+        ruleMap.set(lookupKey(selector, at), rule);
+      } else if (rule.cssRules) {
+        const brace = rule.cssText.indexOf('{');
+        if (brace === -1) continue;
+        const chain = [...at, rule.cssText.slice(0, brace).trim().replace(/\s+/g, ' ')];
+        groupMap.set(chain.join(' '), rule);
+        indexRules(rule, chain);
+      }
+    }
+  }
+
+  /**
+   * After hydrating, drop prerendered declarations (and rules) that current
+   * state no longer produces, so the sheet matches state exactly.
+   */
+  function pruneHydrated() {
+    const claimed = new Map();
+    for (const parsed of applied.values()) {
+      const key = lookupKey(parsed.selector, parsed.at);
+      if (!claimed.has(key)) claimed.set(key, new Set());
+      claimed.get(key).add(camelToKebab(parsed.prop));
+    }
+    for (const [key, rule] of [...ruleMap]) {
+      const props = claimed.get(key) || new Set();
+      for (let i = rule.style.length - 1; i >= 0; i--) {
+        const name = rule.style.item(i);
+        if (!props.has(name)) rule.style.removeProperty(name);
+      }
+      if (rule.style.length === 0) {
+        ruleMap.delete(key);
+        deleteRule(rule);
+      }
+    }
+  }
+
+  /**
+   * Delete a rule (or an at-rule group) from its parent, then prune any
+   * at-rule groups that are left empty.
+   */
+  function deleteRule(rule) {
+    const parent = rule.parentRule || sheet;
+    if (isKeyframes(parent)) {
+      parent.deleteRule(rule.keyText);
+    } else {
+      const idx = Array.prototype.indexOf.call(parent.cssRules, rule);
+      if (idx !== -1) parent.deleteRule(idx);
+    }
+    if (parent !== sheet && parent.cssRules.length === 0) {
+      for (const [key, group] of groupMap) {
+        if (group === parent) groupMap.delete(key);
+      }
+      deleteRule(parent);
+    }
+  }
+
+  function removeProperty(selector, prop, at = []) {
+    const key = lookupKey(selector, at);
+    const rule = ruleMap.get(key);
+    if (!rule) return;
+    rule.style.removeProperty(camelToKebab(prop));
+    if (rule.style.length === 0) {
+      ruleMap.delete(key);
+      deleteRule(rule);
+    }
+  }
+
+  function processPath(fullPath, value) {
+    const wasLeaf = applied.has(fullPath);
+    const written = new Set();
+
+    forEachLeaf(fullPath, value, (path, leaf) => {
+      if (leaf == null) return;
+      const parsed = parsePath(path);
+      const decl = parsed && normalize(leaf, parsed.prop, path);
+      if (decl) {
+        const important = parsed.important || decl.important;
+        applyProperty(parsed.selector, parsed.prop, decl.value, parsed.at, important);
+        applied.set(path, { ...parsed, value: decl.value, important });
+        written.add(path);
+      }
+    });
+
+    // A leaf overwriting a leaf cannot leave anything behind; otherwise drop
+    // declarations from paths at or under fullPath that are no longer in state
+    if (wasLeaf && written.has(fullPath)) return;
+    const prefix = fullPath + '.';
+    for (const [path, parsed] of applied) {
+      if ((path === fullPath || path.startsWith(prefix)) && !written.has(path)) {
+        applied.delete(path);
+        removeProperty(parsed.selector, parsed.prop, parsed.at);
+      }
+    }
+  }
+
+  // pending: Map<store path, value>, writes waiting for the next flush (latest value wins)
+  const pending = new Map();
+  let cancelScheduled = null;
+
+  function requestFlush() {
+    if (cancelScheduled) return;
+    if (schedule === 'frame' && typeof requestAnimationFrame === 'function') {
+      const handle = requestAnimationFrame(flush);
+      cancelScheduled = () => cancelAnimationFrame(handle);
+    } else if (schedule === 'frame') {
+      const handle = setTimeout(flush, 16);
+      cancelScheduled = () => clearTimeout(handle);
+    } else {
+      let cancelled = false;
+      queueMicrotask(() => { if (!cancelled) flush(); });
+      cancelScheduled = () => { cancelled = true; };
+    }
+  }
+
+  /**
+   * Apply all pending writes now. A no-op in 'sync' mode or when nothing is queued.
+   */
+  function flush() {
+    if (cancelScheduled) {
+      cancelScheduled();
+      cancelScheduled = null;
+    }
+    const batch = [...pending];
+    pending.clear();
+    // One failing write must not discard the rest of the batch: apply them
+    // all, then report the first error
+    let error = null;
+    for (const [path, value] of batch) {
+      try {
+        processPath(path, value);
+      } catch (err) {
+        if (!error) error = err;
+      }
+    }
+    if (error) throw error;
+  }
+
+  /**
+   * Compile everything currently under the namespace (state set before the
+   * engine existed, restored from persistence, etc.).
+   */
+  function applyState() {
+    const state = store.get(namespace);
+    if (typeof state === 'object' && state !== null) {
+      processPath(namespace, state);
+    }
+  }
+
+  /**
+   * Throw away every rule and rebuild the sheet from current state,
+   * e.g. after a hot reload or when breakpoint tokens change.
+   */
+  function resync() {
+    if (cancelScheduled) cancelScheduled();
+    cancelScheduled = null;
+    pending.clear();
+    for (let i = sheet.cssRules.length - 1; i >= 0; i--) {
+      sheet.deleteRule(i);
+    }
+    ruleMap.clear();
+    groupMap.clear();
+    applied.clear();
+    declareLayers();
+    applyState();
+  }
+
+  /**
+   * Which store paths produced the declarations of a selector, in write order.
+   * @param {string} selector - Selector as emitted, e.g. '.btn:hover' (see classFor when scoped)
+   * @returns {Array<{ path: string, property: string, value: string, important: boolean, at: string[] }>}
+   */
+  function explain(selector) {
+    const sources = [];
+    for (const [path, entry] of applied) {
+      if (entry.selector !== selector) continue;
+      sources.push({
+        path,
+        property: camelToKebab(entry.prop),
+        value: entry.value,
+        important: entry.important,
+        at: entry.at,
+      });
+    }
+    return sources;
+  }
+
+  /**
+   * Plain-object copy of the written declarations: { ruleKey: { property: value } },
+   * where ruleKey is the selector prefixed by its at-rules. JSON-safe, for diff().
+   */
+  function snapshot() {
+    const snap = {};
+    for (const entry of applied.values()) {
+      const key = ruleKey(entry.selector, entry.at);
+      if (!snap[key]) snap[key] = {};
+      snap[key][camelToKebab(entry.prop)] = entry.important ? `${entry.value} !important` : entry.value;
+    }
+    return snap;
+  }
+
+  /**
+   * Readable CSS for everything the engine has written, formatted like compileCSS.
+   */
+  function toCSSText() {
+    const root = new Map();
+    for (const entry of applied.values()) addDeclaration(root, entry);
+    return renderCSS(root, layers);
   }
 
   const unsub = store.subscribe(`${namespace}.*`, ({ path, value }) => {
-    processPath(path, value);
+    if (schedule === 'sync') {
+      processPath(path, value);
+      return;
+    }
+    // Re-insert so writes replay in the order of their latest change
+    pending.delete(path);
+    pending.set(path, value);
+    requestFlush();
   });
 
+  try {
+    if (hydrated) {
+      indexRules(sheet);
+      applyState();
+      pruneHydrated();
+    } else {
+      applyState();
+    }
+  } catch (err) {
+    // A failed start must not leave a live subscription or an orphaned sheet
+    // behind (a prerendered <style> stays, it was there before the engine)
+    unsub();
+    if (!hydrated) detach();
+    throw err;
+  }
+
   return {
     destroy() {
       unsub();
-      styleEl.remove();
+      if (cancelScheduled) cancelScheduled();
+      cancelScheduled = null;
+      pending.clear();
+      detach();
       ruleMap.clear();
+      groupMap.clear();
+      applied.clear();
     },
     getSheet() { return sheet; },
     getRules() { return ruleMap; },
+    flush,
+    resync,
+    /**
+     * Class name to put in markup for a path segment (scoped when `scope` is set).
+     * @param {string} name - Class name as used in style paths
+     * @returns {string}
+     */
+    classFor(name) {
+      return scopeClass(name, scope, classNames);
+    },
     applyProperty,
+    removeProperty,
     parsePath,
+    explain,
+    snapshot,
+    /**
+     * Declarations added, removed and changed since an earlier snapshot().
+     * @param {Object} prevSnapshot
+     * @returns {{ added: Object[], removed: Object[], changed: Object[] }}
+     */
+    diff(prevSnapshot) {
+      return diffSnapshots(prevSnapshot, snapshot());
+    },
+    toCSSText,
   };
 }
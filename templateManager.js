@@ -167,11 +167,17 @@ const createTemplateManager = (stateManager) => {
          * @param {HTMLElement} element - Element to apply classes to
          * @param {string} stateKey - State key to look up in CSS variables
          * @param {Object} options - Options for class application
+         *   (prefix, clearExisting, namespace, classMap: object or function mapping class names)
          * @returns {HTMLElement} - The element for chaining
          *
          * Example usage:
          * // CSS: :root { --card-primary-classes: "bg-primary text-white"; }
          * templateManager.applyClassesFromState(cardElement, 'card-primary');
+         *
+         * // With a scoped style engine, map class names to their scoped form
+         * templateManager.applyClassesFromState(cardElement, 'card-primary', {
+         *   classMap: engine.classFor
+         * });
          */
         applyClassesFromState(element, stateKey, options = {}) {
             if (!element) return element;
@@ -179,9 +185,15 @@ const createTemplateManager = (stateManager) => {
             const {
                 prefix = '',
                 clearExisting = false,
-                namespace = ''
+                namespace = '',
+                classMap = null
             } = typeof options === 'string' ? { prefix: options } : options;
 
+            // classMap can be a lookup object or a function such as engine.classFor
+            const resolveClass = typeof classMap === 'function'
+                ? classMap
+                : (cls) => (classMap && Object.prototype.hasOwnProperty.call(classMap, cls) ? classMap[cls] : cls);
+
             const prefixPath = prefix ? `${prefix}-` : '';
             const namespacePath = namespace ? `${namespace}-` : '';
 
@@ -198,7 +210,7 @@ const createTemplateManager = (stateManager) => {
 
                 // Add new classes
                 classString.split(' ').forEach(cls => {
-                    if (cls) element.classList.add(cls);
+                    if (cls) element.classList.add(resolveClass(cls));
                 });
             }
 
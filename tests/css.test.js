@@ -2,12 +2,19 @@
  * @everystate/css: integration tests via @everystate/test
  *
  * Tests the EveryState-driven CSS modules:
- * - designSystem: token binding, setToken, setTokens
+ * - designSystem: token binding, setToken, setTokens, themes, aliases, scopes, audit
+ * - tokenFormats: DTCG, CSS, SCSS, ES module and .d.ts exporters
  * - typedCSS: schema validation, violations
  * - relationalCSS: derive, scale, contrast, clamp
+ * - styleEngine: compileCSS (DOM-free CSS output)
+ * - styleEngine: createStyleEngine against a minimal in-memory sheet
+ *   (startup state, resync, scheduling, targets, removal, keyframes,
+ *   !important, hydration, introspection)
+ * - templateManager: applyClassesFromState class mapping
  *
- * These modules work entirely through EveryState (no DOM required).
- * cssState and styleEngine require DOM and are covered by browser tests.
+ * These modules work entirely through EveryState (no DOM required). The fake
+ * sheet models only what the engine touches; cssState and real browser CSSOM
+ * behaviour are not covered here.
  */
 
 import { createEventTest, runTests } from '@everystate/test';
@@ -15,9 +22,385 @@ import { createEveryState } from '@everystate/core';
 import { createDesignSystem } from '@everystate/css/designSystem';
 import { createTypedCSS } from '@everystate/css/typedCSS';
 import { createRelationalCSS } from '@everystate/css/relationalCSS';
+import { compileCSS, scopeClass, createStyleEngine } from '@everystate/css/styleEngine';
+import { fromDTCG, toDTCG, toSCSS, toTypeScript, resolveTokens, resolveTokenPath } from '@everystate/css/tokenFormats';
+import { applyTransform } from '@everystate/css/tokenTransforms';
+import { createTemplateManager } from '@everystate/css/templateManager';
+
+// Just enough CSSOM for createStyleEngine: rules, groups and declarations
+function createFakeStyle() {
+  const props = new Map();
+  return {
+    writes: 0,
+    get length() { return props.size; },
+    item: i => [...props.keys()][i],
+    getPropertyValue: name => (props.has(name) ? props.get(name).value : ''),
+    getPropertyPriority: name => (props.has(name) ? props.get(name).priority : ''),
+    setProperty(name, value, priority = '') { this.writes++; props.set(name, { value, priority }); },
+    removeProperty(name) { props.delete(name); },
+  };
+}
+
+function createFakeSheet() {
+  return {
+    cssRules: [],
+    insertRule(text, index = 0) {
+      const head = text.slice(0, text.indexOf('{')).trim();
+      const parentRule = this.prelude ? this : null;
+      let rule;
+      if (text.trim().endsWith(';')) rule = { cssText: text.trim(), parentRule };
+      else if (head.startsWith('@keyframes')) rule = createFakeKeyframes(head, parentRule);
+      else if (head.startsWith('@')) {
+        rule = Object.assign(createFakeSheet(), { prelude: head, parentRule, cssText: `${head} { }` });
+      }
+      else rule = { selectorText: head, style: createFakeStyle(), parentRule };
+      if (/^@(media|container|supports)\b/.test(head)) rule.conditionText = head.replace(/^@\w+\s*/, '');
+      this.cssRules.splice(index, 0, rule);
+      return index;
+    },
+    deleteRule(index) { this.cssRules.splice(index, 1); },
+  };
+}
+
+// Keyframe selectors are serialized like browsers do ('from' -> '0%'), and
+// deleteRule(key) removes the last matching frame
+function createFakeKeyframes(prelude, parentRule) {
+  const keyText = key => key.split(',').map(k => ({ from: '0%', to: '100%' })[k.trim()] || k.trim()).join(', ');
+  return {
+    prelude,
+    parentRule,
+    cssText: `${prelude} { }`,
+    cssRules: [],
+    appendRule(text) {
+      const key = keyText(text.slice(0, text.indexOf('{')));
+      this.cssRules.push({ keyText: key, style: createFakeStyle(), parentRule: this });
+    },
+    deleteRule(key) {
+      const index = this.cssRules.map(r => r.keyText).lastIndexOf(keyText(key));
+      if (index !== -1) this.cssRules.splice(index, 1);
+    },
+  };
+}
+
+function createFakeRoot() {
+  const sheet = createFakeSheet();
+  const element = { sheet, attached: false, remove() { this.attached = false; } };
+  return { sheet, element, createElement: () => element, appendChild(el) { el.attached = true; } };
+}
+
+// A root holding a server-rendered <style id="everystate-css">, for hydrate: true
+function createPrerenderedRoot(build) {
+  const root = createFakeRoot();
+  build(root.sheet);
+  root.element.attached = true;
+  root.getElementById = id => (id === 'everystate-css' && root.element.attached ? root.element : null);
+  return root;
+}
+
+function prerenderRule(container, selector, decls) {
+  const index = container.insertRule(`${selector} {}`, container.cssRules.length);
+  const rule = container.cssRules[index];
+  for (const [name, value] of Object.entries(decls)) rule.style.setProperty(name, value);
+  rule.style.writes = 0;
+  return rule;
+}
+
+function findRule(container, selector) {
+  return container.cssRules.find(r => r.selectorText === selector);
+}
 
 const results = runTests({
 
+  // == styleEngine ===================================================
+
+  'styleEngine: state already in the store is applied on startup': () => {
+    const store = createEveryState({});
+    store.set('css.card.padding', '1rem');
+    store.set('css.card.@md.padding', '2rem');
+    const root = createFakeRoot();
+    const engine = createStyleEngine(store, { target: root });
+    const card = findRule(root.sheet, '.card');
+    if (!card || card.style.getPropertyValue('padding') !== '1rem') throw new Error('Expected startup rule');
+    const media = root.sheet.cssRules.find(r => r.prelude === '@media (min-width: 768px)');
+    if (!media || !findRule(media, '.card')) throw new Error('Expected startup media rule');
+    engine.destroy();
+    store.destroy();
+  },
+
+  'styleEngine: breakpoint groups are inserted in ascending width': () => {
+    const store = createEveryState({});
+    const root = createFakeRoot();
+    const engine = createStyleEngine(store, { target: root });
+    store.set('css.card.@lg.padding', '3rem');
+    store.set('css.card.@md.padding', '2rem');
+    store.set('css.card.padding', '1rem');
+    const order = root.sheet.cssRules.map(r => r.prelude || r.selectorText);
+    if (order.join() !== '.card,@media (min-width: 768px),@media (min-width: 1024px)') {
+      throw new Error(`Unexpected order: ${order}`);
+    }
+    engine.destroy();
+    store.destroy();
+  },
+
+  'styleEngine: removing values deletes empty rules and groups': () => {
+    const store = createEveryState({});
+    const root = createFakeRoot();
+    const engine = createStyleEngine(store, { target: root });
+    store.set('css.card.color', 'red');
+    store.set('css.card.padding', '1rem');
+    store.set('css.card.@md.padding', '2rem');
+
+    store.set('css.card.color', null);
+    const card = findRule(root.sheet, '.card');
+    if (card.style.getPropertyValue('color') !== '' || card.style.length !== 1) throw new Error('Expected color removed');
+
+    store.set('css.card.@md', null);
+    if (root.sheet.cssRules.some(r => r.prelude)) throw new Error('Expected empty @media group deleted');
+    if (engine.getRules().has('@media (min-width: 768px) .card')) throw new Error('Expected getRules() cleaned up');
+
+    store.set('css.card.padding', undefined);
+    if (root.sheet.cssRules.length !== 0) throw new Error('Expected empty rule deleted');
+    if (engine.getRules().size !== 0) throw new Error('Expected no rules left');
+    engine.destroy();
+    store.destroy();
+  },
+
+  'styleEngine: keyframe steps are added, changed and removed live': () => {
+    const store = createEveryState({});
+    const root = createFakeRoot();
+    const engine = createStyleEngine(store, { target: root });
+    store.set('css.@keyframes.spin.from.transform', 'rotate(0deg)');
+    store.set('css.@keyframes.spin.to.transform', 'rotate(360deg)');
+    const spin = root.sheet.cssRules.find(r => r.prelude === '@keyframes spin');
+    if (!spin || spin.cssRules.map(r => r.keyText).join() !== '0%,100%') throw new Error('Expected two frames');
+
+    store.set('css.@keyframes.spin.to.transform', 'rotate(180deg)');
+    if (spin.cssRules.length !== 2 || spin.cssRules[1].style.getPropertyValue('transform') !== 'rotate(180deg)') {
+      throw new Error('Expected frame updated in place');
+    }
+
+    store.set('css.@keyframes.spin.from', null);
+    if (spin.cssRules.map(r => r.keyText).join() !== '100%') throw new Error('Expected first frame removed');
+    store.set('css.@keyframes.spin', null);
+    if (root.sheet.cssRules.length !== 0) throw new Error('Expected empty @keyframes removed');
+    engine.destroy();
+    store.destroy();
+  },
+
+  'styleEngine: a failed start leaves no subscription or element behind': () => {
+    const store = createEveryState({});
+    store.set('css.card.color', 'bad');
+    const root = createFakeRoot();
+    const reject = value => { if (value === 'bad') throw new Error('rejected'); return value; };
+    let threw = false;
+    try { createStyleEngine(store, { target: root, normalizers: [reject] }); } catch (e) { threw = true; }
+    if (!threw) throw new Error('Expected startup to throw');
+    if (root.element.attached) throw new Error('Expected <style> element removed');
+    store.set('css.panel.color', 'red');
+    if (findRule(root.sheet, '.panel')) throw new Error('Expected no live subscription');
+    store.destroy();
+  },
+
+  'styleEngine: hydration reuses prerendered rules and patches only changes': () => {
+    let card;
+    let themed;
+    const root = createPrerenderedRoot(sheet => {
+      card = prerenderRule(sheet, '.card', { padding: '1rem', color: 'red' });
+      themed = prerenderRule(sheet, '[data-theme="dark"] .card', { color: 'white' });
+    });
+    const store = createEveryState({});
+    store.set('css.card.padding', '1rem');
+    store.set('css.card.color', 'blue');
+    store.set('css.[data-theme=dark].card.color', 'white');
+    const engine = createStyleEngine(store, { target: root, hydrate: true });
+    if (root.sheet.cssRules.length !== 2) throw new Error(`Expected no duplicate rules, got ${root.sheet.cssRules.length}`);
+    if (engine.getRules().get('.card') !== card) throw new Error('Expected prerendered rule reused');
+    if (card.style.getPropertyValue('color') !== 'blue' || card.style.writes !== 1) {
+      throw new Error('Expected only the changed declaration written');
+    }
+    if (themed.style.writes !== 0) throw new Error('Expected browser-serialized selector matched');
+    store.set('css.card.padding', '2rem');
+    if (card.style.getPropertyValue('padding') !== '2rem') throw new Error('Expected live updates after hydration');
+    engine.destroy();
+    store.destroy();
+  },
+
+  'styleEngine: hydration prunes what state no longer produces': () => {
+    let card;
+    const root = createPrerenderedRoot(sheet => {
+      card = prerenderRule(sheet, '.card', { padding: '1rem', margin: '0' });
+      prerenderRule(sheet, '.gone', { color: 'red' });
+      const media = sheet.cssRules[sheet.insertRule('@media (min-width: 768px) {}', sheet.cssRules.length)];
+      prerenderRule(media, '.card', { padding: '2rem' });
+    });
+    const store = createEveryState({});
+    store.set('css.card.padding', '1rem');
+    const engine = createStyleEngine(store, { target: root, hydrate: true });
+    if (card.style.getPropertyValue('margin') !== '' || card.style.length !== 1) throw new Error('Expected stale declaration removed');
+    if (root.sheet.cssRules.length !== 1 || root.sheet.cssRules[0] !== card) {
+      throw new Error('Expected stale rule and emptied @media group removed');
+    }
+    if ([...engine.getRules().keys()].join() !== '.card') throw new Error('Expected getRules() to match the sheet');
+    engine.destroy();
+    store.destroy();
+  },
+
+  'styleEngine: hydration keeps the prerendered @layer statement': () => {
+    const root = createPrerenderedRoot(sheet => {
+      sheet.insertRule('@layer base, components;', 0);
+      const layer = sheet.cssRules[sheet.insertRule('@layer components {}', 1)];
+      prerenderRule(layer, '.card', { color: 'red' });
+    });
+    const store = createEveryState({});
+    store.set('css.card.color', 'red');
+    const engine = createStyleEngine(store, {
+      target: root, hydrate: true, layer: 'components', layers: ['base', 'components'],
+    });
+    const statements = root.sheet.cssRules.filter(r => r.cssText && r.cssText.endsWith(';'));
+    if (statements.length !== 1) throw new Error(`Expected one @layer statement, got ${statements.length}`);
+    if (root.sheet.cssRules.length !== 2) throw new Error('Expected the prerendered layer block reused');
+    engine.destroy();
+    store.destroy();
+
+    const freshStore = createEveryState({});
+    const fresh = createFakeRoot();
+    const plain = createStyleEngine(freshStore, { target: fresh, layers: ['base'] });
+    if (fresh.sheet.cssRules[0].cssText !== '@layer base;') throw new Error('Expected @layer statement declared');
+    plain.destroy();
+    freshStore.destroy();
+  },
+
+  'styleEngine: !important reaches setProperty and can be dropped': () => {
+    const store = createEveryState({});
+    const root = createFakeRoot();
+    const engine = createStyleEngine(store, { target: root });
+    store.set('css.widget.color', 'red !important');
+    store.set('css.widget.!important.margin', '0');
+    const widget = findRule(root.sheet, '.widget');
+    if (widget.style.getPropertyValue('color') !== 'red' || widget.style.getPropertyPriority('color') !== 'important') {
+      throw new Error('Expected important priority from the value suffix');
+    }
+    if (widget.style.getPropertyPriority('margin') !== 'important') throw new Error('Expected important from the path segment');
+
+    store.set('css.widget.color', 'red');
+    if (widget.style.getPropertyPriority('color') !== '') throw new Error('Expected priority cleared');
+    if (widget.style.getPropertyValue('color') !== 'red') throw new Error('Expected value kept');
+    engine.destroy();
+    store.destroy();
+  },
+
+  'styleEngine: resync rebuilds the sheet from current state': () => {
+    const store = createEveryState({});
+    const root = createFakeRoot();
+    const engine = createStyleEngine(store, { target: root });
+    store.set('css.card.color', 'red');
+    root.sheet.cssRules.length = 0; // e.g. sheet replaced by a hot reload
+    engine.resync();
+    const card = findRule(root.sheet, '.card');
+    if (!card || card.style.getPropertyValue('color') !== 'red') throw new Error('Expected rebuilt rule');
+    if (root.sheet.cssRules.length !== 1) throw new Error('Expected a single rule after resync');
+    engine.destroy();
+    store.destroy();
+  },
+
+  'styleEngine: scheduled writes are coalesced until flush': () => {
+    const store = createEveryState({});
+    const root = createFakeRoot();
+    const engine = createStyleEngine(store, { target: root, schedule: 'microtask' });
+    store.set('css.card.color', 'red');
+    store.set('css.card.color', 'blue');
+    store.set('css.card.padding', '1rem');
+    if (root.sheet.cssRules.length !== 0) throw new Error('Expected no writes before flush');
+    engine.flush();
+    const card = findRule(root.sheet, '.card');
+    if (card.style.getPropertyValue('color') !== 'blue') throw new Error('Expected latest value');
+    if (card.style.writes !== 2) throw new Error(`Expected 2 writes, got ${card.style.writes}`);
+    engine.flush();
+    if (card.style.writes !== 2) throw new Error('Expected empty flush to be a no-op');
+    engine.destroy();
+    store.destroy();
+  },
+
+  'styleEngine: a failing write does not discard the rest of the batch': () => {
+    const store = createEveryState({});
+    const root = createFakeRoot();
+    const reject = value => { if (value === 'bad') throw new Error('rejected'); return value; };
+    const engine = createStyleEngine(store, { target: root, schedule: 'microtask', normalizers: [reject] });
+    store.set('css.a.color', 'bad');
+    store.set('css.b.color', 'red');
+    let threw = false;
+    try { engine.flush(); } catch (e) { threw = e.message === 'rejected'; }
+    if (!threw) throw new Error('Expected the failing write to be reported');
+    if (!findRule(root.sheet, '.b')) throw new Error('Expected later writes applied');
+    engine.flush();
+    engine.destroy();
+    store.destroy();
+  },
+
+  'styleEngine: several targets adopt one constructable sheet': () => {
+    const store = createEveryState({});
+    const roots = [{ adoptedStyleSheets: [] }, { adoptedStyleSheets: [] }];
+    if (typeof globalThis.CSSStyleSheet !== 'function') {
+      let threw = false;
+      try { createStyleEngine(store, { target: roots }); } catch (e) { threw = true; }
+      if (!threw) throw new Error('Expected multiple targets without adoptedStyleSheets support to throw');
+    }
+
+    const original = globalThis.CSSStyleSheet;
+    globalThis.CSSStyleSheet = function CSSStyleSheet() { return createFakeSheet(); };
+    globalThis.CSSStyleSheet.prototype.replaceSync = () => {};
+    try {
+      const engine = createStyleEngine(store, { target: roots });
+      const sheet = engine.getSheet();
+      if (roots.some(r => r.adoptedStyleSheets[0] !== sheet)) throw new Error('Expected shared adopted sheet');
+      store.set('css.card.color', 'red');
+      if (!findRule(sheet, '.card')) throw new Error('Expected rule in adopted sheet');
+      engine.destroy();
+      if (roots.some(r => r.adoptedStyleSheets.length)) throw new Error('Expected sheet detached on destroy');
+    } finally {
+      if (original) globalThis.CSSStyleSheet = original;
+      else delete globalThis.CSSStyleSheet;
+    }
+    store.destroy();
+  },
+
+  'styleEngine: diff reports added, removed and changed declarations': () => {
+    const store = createEveryState({});
+    const engine = createStyleEngine(store, { target: createFakeRoot() });
+    store.set('css.card.color', 'red');
+    store.set('css.card.margin', '0');
+    const before = engine.snapshot();
+    store.set('css.card.color', 'blue');
+    store.set('css.card.margin', null);
+    store.set('css.card.hover.color', 'green');
+    const { added, removed, changed } = engine.diff(before);
+    if (added.length !== 1 || added[0].rule !== '.card:hover' || added[0].value !== 'green') {
+      throw new Error(`Unexpected added: ${JSON.stringify(added)}`);
+    }
+    if (removed.length !== 1 || removed[0].property !== 'margin') throw new Error(`Unexpected removed: ${JSON.stringify(removed)}`);
+    if (changed.length !== 1 || changed[0].from !== 'red' || changed[0].to !== 'blue') {
+      throw new Error(`Unexpected changed: ${JSON.stringify(changed)}`);
+    }
+    const empty = engine.diff(engine.snapshot());
+    if (empty.added.length || empty.removed.length || empty.changed.length) throw new Error('Expected empty diff');
+    engine.destroy();
+    store.destroy();
+  },
+
+  'styleEngine: explain and toCSSText describe what was written': () => {
+    const store = createEveryState({});
+    const engine = createStyleEngine(store, { target: createFakeRoot() });
+    store.set('css.btn.background', 'purple');
+    store.set('css.btn.@md.padding', '1rem');
+    const sources = engine.explain('.btn');
+    if (sources.length !== 2 || sources[0].path !== 'css.btn.background' || sources[0].value !== 'purple') {
+      throw new Error(`Unexpected explain: ${JSON.stringify(sources)}`);
+    }
+    if (engine.toCSSText() !== compileCSS(store)) throw new Error('Expected toCSSText to match compileCSS');
+    engine.destroy();
+    store.destroy();
+  },
+
   // == designSystem ==================================================
 
   'designSystem: initializes tokens in store': () => {
@@ -121,6 +504,479 @@ const results = runTests({
     store.destroy();
   },
 
+  'designSystem: applyTheme writes only changed tokens and restores base': () => {
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, {
+      tokens: { color: { surface: '#fff', text: '#111', primary: '#3b82f6' } },
+      themes: { dark: { color: { surface: '#000', text: '#eee' } } },
+    });
+    ds.defineTheme('dim', { color: { surface: '#000' } });
+    const writes = [];
+    store.subscribe('tokens.*', ({ path }) => writes.push(path));
+
+    ds.applyTheme('dark');
+    if (ds.getActiveTheme() !== 'dark') throw new Error('Expected dark theme active');
+    if (store.get('tokens.color.text') !== '#eee') throw new Error('Expected dark text');
+    if (writes.includes('tokens.color.primary')) throw new Error('Untouched token should not be written');
+
+    writes.length = 0;
+    ds.applyTheme('dim');
+    if (writes.join() !== 'tokens.color.text') throw new Error(`Expected only text to change, got ${writes}`);
+    if (store.get('tokens.color.text') !== '#111') throw new Error('Expected base text restored');
+
+    ds.applyTheme(null);
+    if (store.get('tokens.color.surface') !== '#fff') throw new Error('Expected base surface restored');
+    if (ds.getActiveTheme() !== null) throw new Error('Expected no active theme');
+    ds.destroy();
+    store.destroy();
+  },
+
+  'designSystem: followSystem applies the theme of the matching media query': () => {
+    const listeners = new Set();
+    const media = { '(prefers-color-scheme: dark)': false };
+    globalThis.matchMedia = (query) => ({
+      get matches() { return !!media[query]; },
+      addEventListener: (type, fn) => listeners.add(fn),
+      removeEventListener: (type, fn) => listeners.delete(fn),
+    });
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, {
+      tokens: { color: { surface: '#fff' } },
+      themes: { dark: { color: { surface: '#000' } } },
+    });
+    const stop = ds.followSystem();
+    if (ds.getActiveTheme() !== null) throw new Error('Expected base tokens for light preference');
+
+    media['(prefers-color-scheme: dark)'] = true;
+    listeners.forEach(fn => fn());
+    if (store.get('tokens.color.surface') !== '#000') throw new Error('Expected dark surface');
+
+    stop();
+    if (listeners.size !== 0) throw new Error('Expected listeners removed');
+    delete globalThis.matchMedia;
+    ds.destroy();
+    store.destroy();
+  },
+
+  'designSystem: token aliases resolve reactively through bind': () => {
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, {
+      tokens: {
+        color: { blue: { 500: '#3b82f6' }, red: { 500: '#ef4444' }, primary: '{color.blue.500}' },
+        border: { focus: '2px solid {color.primary}' },
+      },
+    });
+    ds.bind('css.btn.background', 'color.primary');
+    ds.bind('css.btn.outline', 'border.focus');
+    if (ds.getToken('color.primary') !== '#3b82f6') throw new Error('Expected resolved alias');
+    if (ds.getRawToken('color.primary') !== '{color.blue.500}') throw new Error('Expected raw alias');
+    if (store.get('css.btn.outline') !== '2px solid #3b82f6') throw new Error('Expected interpolated reference');
+
+    ds.setToken('color.blue.500', '#2563eb');
+    if (store.get('css.btn.background') !== '#2563eb') throw new Error('Expected palette change to propagate');
+    if (store.get('css.btn.outline') !== '2px solid #2563eb') throw new Error('Expected nested alias to propagate');
+
+    ds.setToken('color.primary', '{color.red.500}');
+    ds.setToken('color.blue.500', '#000');
+    if (store.get('css.btn.background') !== '#ef4444') throw new Error('Expected retargeted alias');
+    ds.destroy();
+    store.destroy();
+  },
+
+  'designSystem: circular token references throw': () => {
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, {
+      tokens: { color: { a: '{color.b}', b: '{color.c}', c: '{color.a}' } },
+    });
+    let message = '';
+    try { ds.bind('css.btn.color', 'color.a'); } catch (e) { message = e.message; }
+    if (message !== 'Circular token reference: color.a -> color.b -> color.c -> color.a') {
+      throw new Error(`Unexpected error: ${message}`);
+    }
+    if (Object.keys(ds.getBindings()).length !== 0) throw new Error('Expected no binding registered');
+    ds.destroy();
+    store.destroy();
+  },
+
+  'designSystem: importTokens reads DTCG documents': () => {
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, {});
+    ds.importTokens({
+      color: {
+        $type: 'color',
+        blue: { 500: { $value: '#3b82f6' } },
+        primary: { $value: '{color.blue.500}', $description: 'Brand color' },
+      },
+      space: { md: { $type: 'dimension', $value: { value: 16, unit: 'px' } } },
+      shadow: {
+        card: {
+          $type: 'shadow',
+          $value: { color: '#0000001a', offsetX: '0px', offsetY: '4px', blur: '6px', spread: '0px' },
+        },
+      },
+    });
+    if (ds.getToken('color.primary') !== '#3b82f6') throw new Error('Expected alias to resolve');
+    if (ds.getToken('space.md') !== '16px') throw new Error('Expected dimension as CSS length');
+    if (ds.getToken('shadow.card') !== '0px 4px 6px 0px #0000001a') throw new Error('Expected shadow string');
+    const types = ds.getTokenTypes();
+    if (types['color.primary'] !== 'color' || types['space.md'] !== 'length') throw new Error('Expected typedCSS types');
+    ds.destroy();
+    store.destroy();
+  },
+
+  'designSystem: exportTokens writes DTCG with $type': () => {
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, {
+      tokens: { color: { primary: '#3b82f6', link: '{color.primary}' }, space: { md: '1rem' }, z: { modal: 50 } },
+    });
+    const json = ds.exportTokens({ format: 'dtcg' });
+    const expected = {
+      color: { primary: { $value: '#3b82f6', $type: 'color' }, link: { $value: '{color.primary}' } },
+      space: { md: { $value: '1rem', $type: 'dimension' } },
+      z: { modal: { $value: 50, $type: 'number' } },
+    };
+    if (JSON.stringify(json) !== JSON.stringify(expected)) throw new Error(`Unexpected DTCG: ${JSON.stringify(json)}`);
+    ds.destroy();
+    store.destroy();
+  },
+
+  'designSystem: var bind mode emits custom properties once': () => {
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, {
+      tokens: { color: { blue: '#3b82f6', primary: '{color.blue}' } },
+      bindMode: 'var',
+    });
+    if (store.get('css.$:root.--tokens-color-blue') !== '#3b82f6') throw new Error('Expected emitted token');
+    if (store.get('css.$:root.--tokens-color-primary') !== 'var(--tokens-color-blue)') throw new Error('Expected var() alias');
+
+    ds.bind('css.btn.background', 'color.primary');
+    if (store.get('css.btn.background') !== 'var(--tokens-color-primary, #3b82f6)') throw new Error('Expected var() binding');
+
+    const writes = [];
+    store.subscribe('css.*', ({ path }) => writes.push(path));
+    ds.setToken('color.blue', '#2563eb');
+    if (writes.join() !== 'css.$:root.--tokens-color-blue') throw new Error(`Expected one write, got ${writes}`);
+    const css = compileCSS(store);
+    if (!css.startsWith(':root {\n  --tokens-color-blue: #2563eb;')) throw new Error(`Unexpected CSS:\n${css}`);
+    ds.destroy();
+    store.destroy();
+  },
+
+  'designSystem: var bind mode comma-separates array values': () => {
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, {
+      tokens: { font: { sans: ['Inter', 'sans-serif'], body: '{font.sans}' } },
+      bindMode: 'var',
+    });
+    if (store.get('css.$:root.--tokens-font-sans') !== 'Inter, sans-serif') throw new Error('Expected comma-separated stack');
+    ds.bind('css.$body.fontFamily', 'font.body');
+    if (store.get('css.$body.fontFamily') !== 'var(--tokens-font-body, Inter, sans-serif)') {
+      throw new Error(`Unexpected fallback: ${store.get('css.$body.fontFamily')}`);
+    }
+    ds.destroy();
+    store.destroy();
+  },
+
+  'designSystem: var bind mode formats numbers like the style engine': () => {
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, {
+      tokens: { spacing: { md: 16, none: 0 }, lineHeight: { body: 1.5 } },
+      bindMode: 'var',
+    });
+    if (store.get('css.$:root.--tokens-spacing-md') !== '16px') throw new Error('Expected px on a numeric token');
+    if (store.get('css.$:root.--tokens-spacing-none') !== '0') throw new Error('Expected a bare zero');
+    if (store.get('css.$:root.--tokens-line-height-body') !== '1.5') throw new Error('Expected a unitless token');
+    ds.bind('css.card.padding', 'spacing.md');
+    ds.bind('css.card.lineHeight', 'spacing.md');
+    if (store.get('css.card.padding') !== 'var(--tokens-spacing-md, 16px)') {
+      throw new Error(`Unexpected fallback: ${store.get('css.card.padding')}`);
+    }
+    if (store.get('css.card.lineHeight') !== 'var(--tokens-spacing-md, 16)') throw new Error('Expected a unitless fallback');
+    ds.setToken('spacing.md', 24);
+    if (!compileCSS(store).includes('--tokens-spacing-md: 24px;')) throw new Error('Expected an updated px value');
+    ds.destroy();
+    store.destroy();
+  },
+
+  'designSystem: bind transforms recompute when the token changes': () => {
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, {
+      tokens: { color: { primary: '#3b82f6' }, spacing: { md: '0.5rem 1rem' } },
+    });
+    ds.bind('css.btn.hover.background', 'color.primary', { alpha: 0.8 });
+    ds.bindAll({
+      'css.btn.borderColor': ['color.primary', { darken: '10%' }],
+      'css.btn.padding': ['spacing.md', { multiply: 2 }],
+      'css.btn.color': ['color.primary', [{ mix: ['#ffffff', 0.5] }, v => v.toUpperCase()]],
+    });
+    if (store.get('css.btn.hover.background') !== 'rgba(59, 130, 246, 0.8)') throw new Error('Expected alpha');
+    if (store.get('css.btn.borderColor') !== '#0b63f3') throw new Error('Expected darken');
+    if (store.get('css.btn.padding') !== '1rem 2rem') throw new Error('Expected multiply');
+    let threw = false;
+    try { applyTransform('1px 2px x', { multiply: 2 }); } catch (e) { threw = true; }
+    if (!threw) throw new Error('Expected multiply to reject a non-length');
+    if (store.get('css.btn.color') !== '#9DC1FB') throw new Error('Expected mix + custom function');
+
+    ds.setToken('color.primary', '#000000');
+    if (store.get('css.btn.hover.background') !== 'rgba(0, 0, 0, 0.8)') throw new Error('Expected recomputed alpha');
+    if (store.get('css.btn.color') !== '#808080') throw new Error('Expected recomputed mix');
+    ds.destroy();
+    store.destroy();
+  },
+
+  'designSystem: transforms read named and hsl() colors': () => {
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, {
+      tokens: { color: { primary: '#3b82f6', surface: '#fff' } },
+      themes: { x: { color: { primary: 'hsl(270 50% 40%)', surface: '#000' } } },
+    });
+    ds.bind('css.btn.hover.background', 'color.primary', { alpha: 0.5 });
+    ds.bind('css.btn.color', 'color.primary');
+    ds.setToken('color.primary', 'rebeccapurple');
+    if (store.get('css.btn.hover.background') !== 'rgba(102, 51, 153, 0.5)') throw new Error('Expected named color');
+    if (store.get('css.btn.color') !== 'rebeccapurple') throw new Error('Expected plain binding updated');
+
+    ds.applyTheme('x');
+    if (ds.getActiveTheme() !== 'x') throw new Error('Expected active theme');
+    if (store.get('tokens.color.surface') !== '#000') throw new Error('Expected whole theme applied');
+    if (store.get('css.btn.hover.background') !== 'rgba(102, 51, 153, 0.5)') throw new Error('Expected hsl() color');
+    ds.destroy();
+    store.destroy();
+  },
+
+  'designSystem: var mode re-declares global aliases inside a scope': () => {
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, {
+      tokens: { color: { brand: '#3b82f6', link: '{color.brand}', text: '#111', muted: '{color.text}' } },
+      bindMode: 'var',
+    });
+    ds.scope('sidebar', { color: { brand: '#f59e0b' } });
+    if (store.get('css.sidebar.--tokens-color-brand') !== '#f59e0b') throw new Error('Expected scoped override');
+    if (store.get('css.sidebar.--tokens-color-link') !== 'var(--tokens-color-brand)') {
+      throw new Error('Expected alias re-declared on the scope');
+    }
+    if (store.get('css.sidebar.--tokens-color-muted') !== undefined) throw new Error('Expected unrelated alias left on :root');
+
+    ds.setToken('color.link', '{color.text}');
+    if (store.get('css.sidebar.--tokens-color-link') != null) throw new Error('Expected stale re-declaration removed');
+    ds.setToken('color.muted', '{color.brand}');
+    if (store.get('css.sidebar.--tokens-color-muted') !== 'var(--tokens-color-brand)') {
+      throw new Error('Expected new alias re-declared');
+    }
+    const css = compileCSS(store);
+    if (!css.includes('.sidebar {\n  --tokens-color-brand: #f59e0b;\n  --tokens-color-muted: var(--tokens-color-brand);')) {
+      throw new Error(`Unexpected CSS:\n${css}`);
+    }
+    ds.destroy();
+    store.destroy();
+  },
+
+  'designSystem: a failing transform skips only its binding': () => {
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = msg => warnings.push(msg);
+    try {
+      const store = createEveryState({});
+      const ds = createDesignSystem(store, {
+        tokens: { color: { primary: '#3b82f6' } },
+        themes: { x: { color: { primary: 'currentColor' } } },
+      });
+      ds.bind('css.btn.hover.background', 'color.primary', { alpha: 0.5 });
+      ds.bind('css.btn.color', 'color.primary');
+      ds.applyTheme('x');
+      if (ds.getActiveTheme() !== 'x') throw new Error('Expected active theme');
+      if (store.get('css.btn.color') !== 'currentColor') throw new Error('Expected other binding updated');
+      if (store.get('css.btn.hover.background') !== 'rgba(59, 130, 246, 0.5)') throw new Error('Expected last good value kept');
+      if (warnings.length !== 1) throw new Error(`Expected one warning, got ${warnings.length}`);
+      ds.destroy();
+      store.destroy();
+    } finally {
+      console.warn = warn;
+    }
+  },
+
+  'designSystem: scoped overrides fall back to global tokens': () => {
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, {
+      tokens: { color: { surface: '#fff', text: '#111', brand: '#3b82f6', link: '{color.brand}' } },
+    });
+    const sidebar = ds.scope('sidebar', { color: { surface: '#111', brand: '#f59e0b' } });
+    ds.bind('css.main.background', 'color.surface');
+    sidebar.bindAll({
+      'css.sidebar.background': 'color.surface',
+      'css.sidebar.color': 'color.text',
+      'css.sidebar.a.color': 'color.link',
+    });
+    if (store.get('css.main.background') !== '#fff') throw new Error('Expected global surface');
+    if (store.get('css.sidebar.background') !== '#111') throw new Error('Expected scoped surface');
+    if (store.get('css.sidebar.color') !== '#111') throw new Error('Expected fallback to global text');
+    if (store.get('css.sidebar.a.color') !== '#f59e0b') throw new Error('Expected alias resolved in scope');
+
+    ds.setToken('color.text', '#222');
+    sidebar.setToken('color.surface', '#000');
+    if (store.get('css.sidebar.color') !== '#222') throw new Error('Expected global change to reach scope');
+    if (store.get('css.sidebar.background') !== '#000') throw new Error('Expected scoped change');
+    if (store.get('css.main.background') !== '#fff') throw new Error('Global binding should not change');
+
+    sidebar.setToken('color.surface', undefined);
+    if (store.get('css.sidebar.background') !== '#fff') throw new Error('Expected fallback after clearing override');
+    ds.destroy();
+    store.destroy();
+  },
+
+  'designSystem: audit reports unused, hardcoded and missing tokens': () => {
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, {
+      tokens: {
+        color: { blue: '#3b82f6', primary: '{color.blue}', danger: '#ef4444' },
+        spacing: { md: '1rem', xl: '2rem' },
+      },
+    });
+    ds.bind('css.btn.background', 'color.primary');
+    ds.bind('css.btn.padding', 'spacing.md');
+    ds.bind('css.btn.color', 'color.accent');
+    store.set('css.card.background', '#3B82F6');
+    store.set('css.card.margin', '3rem');
+
+    const report = ds.audit();
+    const expected = {
+      unusedTokens: ['color.danger', 'spacing.xl'],
+      hardcodedValues: [{ path: 'css.card.background', value: '#3B82F6', tokens: ['color.blue', 'color.primary'] }],
+      missingTokens: [{ token: 'color.accent', stylePaths: ['css.btn.color'] }],
+    };
+    if (JSON.stringify(report) !== JSON.stringify(expected)) throw new Error(`Unexpected report: ${JSON.stringify(report)}`);
+    ds.destroy();
+    store.destroy();
+  },
+
+  'designSystem: exportTokens writes CSS variables and an ES module': () => {
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, {
+      tokens: { color: { blue: '#3b82f6', primary: '{color.blue}' }, font: { stack: ['Inter', 'sans-serif'] } },
+    });
+    const css = ds.exportTokens({ format: 'css' });
+    const expectedCSS = ':root {\n  --tokens-color-blue: #3b82f6;\n'
+      + '  --tokens-color-primary: var(--tokens-color-blue);\n  --tokens-font-stack: Inter, sans-serif;\n}\n';
+    if (css !== expectedCSS) throw new Error(`Unexpected CSS:\n${css}`);
+
+    const js = ds.exportTokens({ format: 'js' });
+    if (!js.startsWith('export const tokens = {') || !js.includes('"primary": "#3b82f6"')) {
+      throw new Error(`Unexpected module:\n${js}`);
+    }
+    ds.destroy();
+    store.destroy();
+  },
+
+  'tokenFormats: DTCG colors in any color space become valid CSS': () => {
+    const { tokens } = fromDTCG({
+      $type: 'color',
+      accent: { $value: { colorSpace: 'oklch', components: [0.7, 0.15, 250] } },
+      muted: { $value: { colorSpace: 'hsl', components: ['none', 0, 50], alpha: 0.5 } },
+      wide: { $value: { colorSpace: 'display-p3', components: [1, 0.5, 0] } },
+      brand: { $value: { colorSpace: 'srgb', components: [1, 0, 0], hex: '#ff0000' } },
+    });
+    const expected = {
+      accent: 'oklch(0.7 0.15 250)',
+      muted: 'hsl(none 0% 50% / 0.5)',
+      wide: 'color(display-p3 1 0.5 0)',
+      brand: '#ff0000',
+    };
+    if (JSON.stringify(tokens) !== JSON.stringify(expected)) throw new Error(`Unexpected colors: ${JSON.stringify(tokens)}`);
+  },
+
+  'tokenFormats: toDTCG omits composite $type for CSS string values': () => {
+    const json = toDTCG({ shadow: { card: '0 4px 6px #0000001a', raised: '{shadow.card}' } },
+      { 'shadow.card': 'shadow', 'shadow.raised': 'shadow' });
+    if (json.shadow.card.$type !== undefined) throw new Error('Expected no $type on a shadow string');
+    if (json.shadow.raised.$type !== 'shadow') throw new Error('Expected $type kept on an alias');
+  },
+
+  'tokenFormats: SCSS declares references first, d.ts lists token paths': () => {
+    const tokens = { color: { primary: '{color.blue.500}', blue: { 500: '#3b82f6' } } };
+    const scss = toSCSS(tokens);
+    const expected = '$tokens-color-blue-500: #3b82f6;\n$tokens-color-primary: $tokens-color-blue-500;\n\n'
+      + '$tokens: (\n  color: (\n    primary: $tokens-color-primary,\n    blue: (\n      "500": $tokens-color-blue-500\n    )\n  )\n);\n';
+    if (scss !== expected) throw new Error(`Unexpected SCSS:\n${scss}`);
+
+    const dts = toTypeScript(tokens);
+    if (!dts.startsWith('export type TokenPath =\n  | "color.primary"\n  | "color.blue.500";')) {
+      throw new Error(`Unexpected d.ts:\n${dts}`);
+    }
+    if (!dts.includes('readonly primary: "#3b82f6";')) throw new Error(`Expected resolved literal type:\n${dts}`);
+  },
+
+  'designSystem: writes that would create a cycle throw before reaching the store': () => {
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, { tokens: { color: { a: '{color.b}', b: '#fff' } } });
+    ds.bind('css.btn.color', 'color.a');
+    const attempts = [
+      () => ds.setToken('color.b', '{color.a}'),
+      () => ds.setTokens({ color: { b: '1px solid {color.a}' } }),
+      () => ds.importTokens({ color: { b: { $value: '{color.a}' } } }),
+    ];
+    for (const attempt of attempts) {
+      let message = '';
+      try { attempt(); } catch (e) { message = e.message; }
+      if (message !== 'Circular token reference: color.b -> color.a -> color.b') {
+        throw new Error(`Unexpected error: ${message}`);
+      }
+      if (store.get('tokens.color.b') !== '#fff') throw new Error('Expected the store left unchanged');
+    }
+    ds.setTokens({ color: { a: '#000', b: '{color.a}' } });
+    if (ds.getToken('color.b') !== '#000') throw new Error('Expected a retargeted alias to be accepted');
+    ds.destroy();
+    store.destroy();
+  },
+
+  'tokenFormats: resolver is shared with the design system': () => {
+    const tokens = { color: { a: '{color.b}', b: '{color.a}', blue: '#3b82f6', border: '1px solid {color.blue}' } };
+    const messages = [];
+    try { resolveTokens(tokens); } catch (e) { messages.push(e.message); }
+    const store = createEveryState({});
+    const ds = createDesignSystem(store, { tokens });
+    try { ds.getToken('color.a'); } catch (e) { messages.push(e.message); }
+    if (messages.length !== 2 || messages[0] !== messages[1]
+      || messages[0] !== 'Circular token reference: color.a -> color.b -> color.a') {
+      throw new Error(`Unexpected messages: ${messages}`);
+    }
+
+    const read = [];
+    const value = resolveTokenPath('color.border', path => { read.push(path); return tokens.color[path.split('.')[1]]; });
+    if (value !== '1px solid #3b82f6' || read.join() !== 'color.border,color.blue') {
+      throw new Error(`Unexpected resolution: ${value} (${read})`);
+    }
+    ds.destroy();
+    store.destroy();
+  },
+
+  // == templateManager ===============================================
+
+  'templateManager: applyClassesFromState maps classes through classMap': () => {
+    const original = { document: globalThis.document, getComputedStyle: globalThis.getComputedStyle };
+    globalThis.document = { documentElement: {} };
+    globalThis.getComputedStyle = () => ({ getPropertyValue: () => '"card constructor toString"' });
+    const element = () => {
+      const classes = [];
+      return { classes, classList: { add: cls => classes.push(cls) } };
+    };
+    try {
+      const tm = createTemplateManager();
+      const byObject = tm.applyClassesFromState(element(), 'card-primary', { classMap: { card: 'card_x1' } });
+      if (byObject.classes.join() !== 'card_x1,constructor,toString') {
+        throw new Error(`Unexpected classes: ${byObject.classes.map(String)}`);
+      }
+      const byFunction = tm.applyClassesFromState(element(), 'card-primary', { classMap: cls => `shop-${cls}` });
+      if (byFunction.classes.join() !== 'shop-card,shop-constructor,shop-toString') {
+        throw new Error(`Unexpected classes: ${byFunction.classes}`);
+      }
+    } finally {
+      for (const [key, value] of Object.entries(original)) {
+        if (value === undefined) delete globalThis[key];
+        else globalThis[key] = value;
+      }
+    }
+  },
+
   // == typedCSS ======================================================
 
   'typedCSS: validate color - valid': () => {
@@ -351,6 +1207,217 @@ const results = runTests({
     rel.destroy();
     store.destroy();
   },
+
+  // == styleEngine: compileCSS =======================================
+
+  'compileCSS: compiles store state to CSS text': () => {
+    const store = createEveryState({});
+    store.set('css.card.padding', '1rem');
+    store.set('css.card.hover.boxShadow', 'none');
+    const css = compileCSS(store);
+    const expected = '.card {\n  padding: 1rem;\n}\n\n.card:hover {\n  box-shadow: none;\n}';
+    if (css !== expected) throw new Error(`Unexpected CSS:\n${css}`);
+    store.destroy();
+  },
+
+  'compileCSS: groups breakpoint segments into @media': () => {
+    const css = compileCSS({
+      tokens: { breakpoint: { md: '900px' } },
+      css: { card: { '@md': { padding: '2rem' } } },
+    }, { breakpoints: 'tokens.breakpoint' });
+    const expected = '@media (min-width: 900px) {\n  .card {\n    padding: 2rem;\n  }\n}';
+    if (css !== expected) throw new Error(`Unexpected CSS:\n${css}`);
+  },
+
+  'compileCSS: conditional groups follow plain rules regardless of write order': () => {
+    const store = createEveryState({});
+    store.set('css.card.@md.padding', '2rem');
+    store.set('css.card.padding', '1rem');
+    const expected = '.card {\n  padding: 1rem;\n}\n\n@media (min-width: 768px) {\n  .card {\n    padding: 2rem;\n  }\n}';
+    const css = compileCSS(store);
+    if (css !== expected) throw new Error(`Unexpected CSS:\n${css}`);
+    store.destroy();
+  },
+
+  'compileCSS: breakpoint groups are ordered by width, not write order': () => {
+    const store = createEveryState({});
+    store.set('css.card.@lg.padding', '3rem');
+    store.set('css.card.@print.padding', '0');
+    store.set('css.card.@md.padding', '2rem');
+    const css = compileCSS(store);
+    const md = css.indexOf('@media (min-width: 768px)');
+    const lg = css.indexOf('@media (min-width: 1024px)');
+    if (md === -1 || lg === -1 || md > lg) throw new Error(`Expected @md before @lg:\n${css}`);
+    const print = css.indexOf('@media print');
+    if (print < md || print > lg) throw new Error(`Expected other groups to keep their slot:\n${css}`);
+    store.destroy();
+  },
+
+  'compileCSS: skips unknown properties and empty state': () => {
+    if (compileCSS({ css: { card: { bogus: '1' } } }) !== '') throw new Error('Expected empty output');
+    if (compileCSS({}) !== '') throw new Error('Expected empty output for missing namespace');
+  },
+
+  'compileCSS: @supports and named conditions': () => {
+    const css = compileCSS({
+      css: {
+        grid: { '@supports(display:grid)': { display: 'grid' } },
+        toast: { '@reducedMotion': { transition: 'none' } },
+        nav: { '@print': { display: 'none' } },
+      },
+    });
+    const expected = [
+      '@supports (display: grid) {\n  .grid {\n    display: grid;\n  }\n}',
+      '@media (prefers-reduced-motion: reduce) {\n  .toast {\n    transition: none;\n  }\n}',
+      '@media print {\n  .nav {\n    display: none;\n  }\n}',
+    ].join('\n\n');
+    if (css !== expected) throw new Error(`Unexpected CSS:\n${css}`);
+  },
+
+  'compileCSS: literal selectors, combinators and aliases': () => {
+    const css = compileCSS({
+      css: {
+        $body: { margin: '0' },
+        list: { '$>': { item: { color: 'red' } } },
+        toggle: { '[data-state="open"]': { background: 'green' }, open: { color: 'white' } },
+      },
+    }, { selectors: { open: '&[data-state="open"]' } });
+    const expected = [
+      'body {\n  margin: 0;\n}',
+      '.list > .item {\n  color: red;\n}',
+      '.toggle[data-state="open"] {\n  background: green;\n  color: white;\n}',
+    ].join('\n\n');
+    if (css !== expected) throw new Error(`Unexpected CSS:\n${css}`);
+  },
+
+  'compileCSS: custom, vendor-prefixed and extra properties': () => {
+    const css = compileCSS({
+      css: { card: { '--accent': 'red', WebkitBackdropFilter: 'blur(4px)', fieldSizing: 'content' } },
+    }, { extraProperties: ['fieldSizing'] });
+    const expected = '.card {\n  --accent: red;\n  -webkit-backdrop-filter: blur(4px);\n  field-sizing: content;\n}';
+    if (css !== expected) throw new Error(`Unexpected CSS:\n${css}`);
+  },
+
+  'compileCSS: replaced registry drops unlisted properties': () => {
+    const css = compileCSS({ css: { card: { color: 'red', padding: '1rem' } } }, { properties: ['color'] });
+    if (css !== '.card {\n  color: red;\n}') throw new Error(`Unexpected CSS:\n${css}`);
+  },
+
+  'compileCSS: @keyframes from state': () => {
+    const store = createEveryState({});
+    store.set('css.@keyframes.spin.from.transform', 'rotate(0deg)');
+    store.set('css.@keyframes.spin.to.transform', 'rotate(360deg)');
+    store.set('css.spinner.animation', 'spin 1s linear infinite');
+    const expected = [
+      '@keyframes spin {\n  from {\n    transform: rotate(0deg);\n  }\n  to {\n    transform: rotate(360deg);\n  }\n}',
+      '.spinner {\n  animation: spin 1s linear infinite;\n}',
+    ].join('\n\n');
+    const css = compileCSS(store);
+    if (css !== expected) throw new Error(`Unexpected CSS:\n${css}`);
+    store.destroy();
+  },
+
+  'compileCSS: cascade layers and layer order': () => {
+    const css = compileCSS({
+      css: { '@layer(base)': { card: { padding: '1rem' } } },
+    }, { layers: ['base', 'components'] });
+    const expected = '@layer base, components;\n\n@layer base {\n  .card {\n    padding: 1rem;\n  }\n}';
+    if (css !== expected) throw new Error(`Unexpected CSS:\n${css}`);
+
+    const layered = compileCSS({ css: { card: { color: 'red' } } }, { layer: 'components' });
+    if (layered !== '@layer components {\n  .card {\n    color: red;\n  }\n}') {
+      throw new Error(`Unexpected CSS:\n${layered}`);
+    }
+  },
+
+  'compileCSS: functional pseudo-classes': () => {
+    const css = compileCSS({
+      css: {
+        row: { 'nthChild(2n)': { background: '#eee' } },
+        card: { 'has(.img)': { padding: '0' } },
+      },
+    });
+    const expected = '.row:nth-child(2n) {\n  background: #eee;\n}\n\n.card:has(.img) {\n  padding: 0;\n}';
+    if (css !== expected) throw new Error(`Unexpected CSS:\n${css}`);
+  },
+
+  'compileCSS: drops unsafe selector segments': () => {
+    const css = compileCSS({
+      css: {
+        row: { 'nthChild(banana)': { color: 'red' } },
+        card: { 'not(.a))': { color: 'red' }, 'x{}': { color: 'red' } },
+      },
+    });
+    if (css !== '') throw new Error(`Expected no output, got:\n${css}`);
+  },
+
+  'compileCSS: scoped class names': () => {
+    const state = { css: { card: { padding: '1rem' }, $body: { margin: '0' } } };
+    const hashed = scopeClass('card', 'shop');
+    if (hashed === 'card' || !hashed.startsWith('card_')) throw new Error(`Unexpected scoped class ${hashed}`);
+    if (scopeClass('card', 'cart') === hashed) throw new Error('Expected different scopes to differ');
+
+    const css = compileCSS(state, { scope: 'shop' });
+    const expected = `.${hashed} {\n  padding: 1rem;\n}\n\nbody {\n  margin: 0;\n}`;
+    if (css !== expected) throw new Error(`Unexpected CSS:\n${css}`);
+
+    const prefixed = compileCSS(state, { scope: 'shop', classNames: 'prefix' });
+    if (!prefixed.startsWith('.shop-card {')) throw new Error(`Unexpected CSS:\n${prefixed}`);
+  },
+
+  'compileCSS: scope reaches class names inside functional pseudo-classes': () => {
+    const store = createEveryState({});
+    store.set('css.card.has(.img).padding', '0');
+    store.set('css.card.not(.active, [href$=".img"]).opacity', '0.5');
+    const css = compileCSS(store, { scope: 'shop', classNames: 'prefix' });
+    if (!css.includes('.shop-card:has(.shop-img) {')) throw new Error(`Expected scoped :has(), got:\n${css}`);
+    if (!css.includes('.shop-card:not(.shop-active, [href$=".img"]) {')) {
+      throw new Error(`Expected scoped :not() with attribute untouched, got:\n${css}`);
+    }
+  },
+
+  'compileCSS: !important from value suffix and path segment': () => {
+    const store = createEveryState({});
+    store.set('css.widget.color', 'red !important');
+    store.set('css.widget.!important.margin', '0');
+    store.set('css.widget.padding', '1rem');
+    const expected = '.widget {\n  color: red !important;\n  margin: 0 !important;\n  padding: 1rem;\n}';
+    const css = compileCSS(store);
+    if (css !== expected) throw new Error(`Unexpected CSS:\n${css}`);
+    store.destroy();
+  },
+
+  'compileCSS: omits null and undefined declarations': () => {
+    const store = createEveryState({});
+    store.set('css.card.padding', '1rem');
+    store.set('css.card.color', 'red');
+    store.set('css.card.color', null);
+    store.set('css.panel.margin', null);
+    const css = compileCSS(store);
+    if (css !== '.card {\n  padding: 1rem;\n}') throw new Error(`Unexpected CSS:\n${css}`);
+    store.destroy();
+  },
+
+  'compileCSS: numbers get px unless unitless, arrays are joined': () => {
+    const store = createEveryState({});
+    store.set('css.card.padding', 16);
+    store.set('css.card.margin', [0, 8]);
+    store.set('css.card.opacity', 0.5);
+    store.set('css.card.zIndex', 2);
+    store.set('css.card.boxShadow', [[0, 1, 2, 'black'], [0, 4, 8, 'gray']]);
+    const expected = '.card {\n  padding: 16px;\n  margin: 0 8px;\n  opacity: 0.5;\n  z-index: 2;\n'
+      + '  box-shadow: 0 1px 2px black, 0 4px 8px gray;\n}';
+    const css = compileCSS(store);
+    if (css !== expected) throw new Error(`Unexpected CSS:\n${css}`);
+    store.destroy();
+  },
+
+  'compileCSS: custom normalizers run before built-in formatting': () => {
+    const state = { css: { title: { fontSize: 24, color: 'red' } } };
+    const rem = (value, prop) => (prop === 'fontSize' ? `${value / 16}rem` : value);
+    const css = compileCSS(state, { normalizers: [rem] });
+    if (css !== '.title {\n  font-size: 1.5rem;\n  color: red;\n}') throw new Error(`Unexpected CSS:\n${css}`);
+  },
 });
 
 if (results.failed > 0) process.exit(1);
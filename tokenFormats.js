@@ -0,0 +1,427 @@
+/**
+ * Token Formats: Convert design token trees to and from exchange formats
+ *
+ * Pure functions (no store, no DOM), so they run in Node build scripts as
+ * well as in the browser. The design system uses them for importTokens() and
+ * exportTokens().
+ *
+ * Formats:
+ *   fromDTCG / toDTCG  - W3C Design Tokens JSON (see below)
+ *   toCSSVariables     - ':root { --tokens-color-primary: ...; }'
+ *   toSCSS             - '$tokens-color-primary: ...;' variables plus a '$tokens' map
+ *   toESModule         - 'export const tokens = { ... }' with aliases resolved
+ *   toTypeScript       - a .d.ts with a TokenPath union of every token path and
+ *                        the literal type of each value
+ *
+ * DTCG: the W3C Design Tokens Community Group format exported by Figma and
+ * most token tools: tokens are objects with `$value` (and optionally `$type`),
+ * groups are plain objects, `$type` on a group applies to everything inside
+ * it, and aliases use the same '{group.token}' syntax as the design system.
+ *
+ * @example
+ *   import { fromDTCG, toDTCG } from '@everystate/css/tokenFormats';
+ *
+ *   const { tokens, types } = fromDTCG({
+ *     color: { $type: 'color', primary: { $value: '#3b82f6' } },
+ *     space: { md: { $value: { value: 16, unit: 'px' }, $type: 'dimension' } },
+ *   });
+ *   // tokens: { color: { primary: '#3b82f6' }, space: { md: '16px' } }
+ *   // types:  { 'color.primary': 'color', 'space.md': 'length' }
+ *
+ *   const json = toDTCG(tokens, types);
+ */
+
+// DTCG $type -> typedCSS type (types without a typedCSS counterpart map to 'string')
+const DTCG_TO_TYPED = {
+  color: 'color',
+  dimension: 'length',
+  number: 'number',
+  fontWeight: 'number',
+  shadow: 'shadow',
+  duration: 'string',
+  cubicBezier: 'string',
+  fontFamily: 'string',
+  strokeStyle: 'string',
+  border: 'string',
+  transition: 'string',
+  gradient: 'string',
+};
+
+// typedCSS type -> DTCG $type, for export
+const TYPED_TO_DTCG = {
+  color: 'color',
+  length: 'dimension',
+  number: 'number',
+  shadow: 'shadow',
+};
+
+// DTCG types whose $value must be an object (or array); stored CSS strings of
+// these types are exported without $type
+const COMPOSITE_DTCG_TYPES = new Set(['shadow', 'border', 'transition', 'gradient', 'typography']);
+
+// A token value that is exactly '{path}' aliases another token (keeping its
+// type); '{path}' inside a longer string is replaced by that token's value.
+// Shared with the design system.
+export const TOKEN_ALIAS_RE = /^\{([^{}]+)\}$/;
+export const TOKEN_REF_RE = /\{([^{}]+)\}/g;
+const IDENTIFIER_RE = /^[A-Za-z_$][\w$]*$/;
+
+const COLOR_VALUE_RE = /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\(.*\))$/i;
+const DIMENSION_VALUE_RE = /^-?\d*\.?\d+(px|rem|em|%|vh|vw|vmin|vmax|ch|ex)$/;
+
+function isToken(node) {
+  return typeof node === 'object' && node !== null && '$value' in node;
+}
+
+/**
+ * Format a DTCG dimension or duration ('16px', or { value: 16, unit: 'px' }).
+ */
+function formatUnitValue(v) {
+  return typeof v === 'object' && v !== null ? `${v.value}${v.unit}` : v;
+}
+
+// DTCG color spaces with their own CSS function, and the unit of each component;
+// every other space (srgb, display-p3, rec2020, xyz-d65, ...) is written with color()
+const COLOR_SPACE_FUNCTIONS = {
+  hsl: ['', '%', '%'],
+  hwb: ['', '%', '%'],
+  lab: ['', '', ''],
+  lch: ['', '', ''],
+  oklab: ['', '', ''],
+  oklch: ['', '', ''],
+};
+
+/**
+ * Format a DTCG color (a CSS string, or { colorSpace, components, alpha, hex }).
+ * 'none' components are kept as the CSS keyword.
+ */
+function formatColor(v) {
+  if (typeof v !== 'object' || v === null) return v;
+  if (v.hex && (v.alpha == null || v.alpha === 1)) return v.hex;
+  const space = v.colorSpace || 'srgb';
+  const alpha = v.alpha == null || v.alpha === 1 ? '' : ` / ${v.alpha}`;
+  const units = COLOR_SPACE_FUNCTIONS[space];
+  const components = v.components
+    .map((c, i) => (c === 'none' || !units ? c : `${c}${units[i]}`))
+    .join(' ');
+  return units ? `${space}(${components}${alpha})` : `color(${space} ${components}${alpha})`;
+}
+
+function formatShadow(v) {
+  if (Array.isArray(v)) return v.map(formatShadow).join(', ');
+  if (typeof v !== 'object' || v === null) return v;
+  const parts = [v.offsetX, v.offsetY, v.blur, v.spread].map(formatUnitValue);
+  return `${v.inset ? 'inset ' : ''}${parts.join(' ')} ${formatColor(v.color)}`;
+}
+
+function formatFontFamily(v) {
+  if (!Array.isArray(v)) return v;
+  return v.map(f => (/\s/.test(f) ? `"${f}"` : f)).join(', ');
+}
+
+/**
+ * Turn a DTCG $value into the CSS value the design system stores. Aliases are
+ * kept as-is; composite types without a CSS shorthand (e.g. typography) stay
+ * objects and become token groups.
+ */
+function formatDTCGValue(value, type) {
+  if (typeof value === 'string' && TOKEN_ALIAS_RE.test(value)) return value;
+  switch (type) {
+    case 'color': return formatColor(value);
+    case 'dimension':
+    case 'duration': return formatUnitValue(value);
+    case 'fontFamily': return formatFontFamily(value);
+    case 'cubicBezier': return Array.isArray(value) ? `cubic-bezier(${value.join(', ')})` : value;
+    case 'shadow': return formatShadow(value);
+    case 'border':
+      return typeof value === 'object' && value !== null
+        ? `${formatUnitValue(value.width)} ${value.style} ${formatColor(value.color)}`
+        : value;
+    case 'transition':
+      return typeof value === 'object' && value !== null
+        ? [value.duration, value.timingFunction, value.delay]
+          .map(v => (Array.isArray(v) ? `cubic-bezier(${v.join(', ')})` : formatUnitValue(v)))
+          .filter(v => v != null)
+          .join(' ')
+        : value;
+    default: return value;
+  }
+}
+
+/**
+ * Convert a DTCG token document to a design-system token tree.
+ *
+ * @param {Object} json - DTCG document (parsed JSON)
+ * @returns {{ tokens: Object, types: Object }} Token tree, and typedCSS types
+ *   by token path (e.g. { 'color.primary': 'color' })
+ */
+export function fromDTCG(json) {
+  const types = {};
+
+  function walk(node, path, inheritedType) {
+    const type = node.$type || inheritedType;
+    if (isToken(node)) {
+      if (type && DTCG_TO_TYPED[type]) types[path] = DTCG_TO_TYPED[type];
+      return formatDTCGValue(node.$value, type);
+    }
+    const group = {};
+    for (const [key, child] of Object.entries(node)) {
+      if (key.startsWith('$') || typeof child !== 'object' || child === null) continue;
+      group[key] = walk(child, path ? `${path}.${key}` : key, type);
+    }
+    return group;
+  }
+
+  return { tokens: walk(json, '', undefined), types };
+}
+
+/**
+ * Guess a DTCG $type from a stored value when none was recorded.
+ */
+function inferDTCGType(value) {
+  if (typeof value === 'number') return 'number';
+  if (typeof value !== 'string') return undefined;
+  if (COLOR_VALUE_RE.test(value.trim())) return 'color';
+  if (DIMENSION_VALUE_RE.test(value.trim())) return 'dimension';
+  return undefined;
+}
+
+/**
+ * Convert a design-system token tree to a DTCG token document.
+ *
+ * @param {Object} tokens - Token tree (e.g. ds.getAllTokens())
+ * @param {Object} [types] - typedCSS types by token path; other tokens get a
+ *   $type inferred from their value (color, dimension, number) or none.
+ *   Composite types such as shadow are only written for object values, since
+ *   DTCG does not allow a CSS string there
+ * @returns {Object} DTCG document
+ */
+export function toDTCG(tokens, types = {}) {
+  function walk(node, path) {
+    if (typeof node !== 'object' || node === null || Array.isArray(node)) {
+      const aliased = typeof node === 'string' && TOKEN_ALIAS_RE.test(node);
+      let type = TYPED_TO_DTCG[types[path]] || (aliased ? undefined : inferDTCGType(node));
+      if (COMPOSITE_DTCG_TYPES.has(type) && typeof node === 'string' && !aliased) type = undefined;
+      return type ? { $value: node, $type: type } : { $value: node };
+    }
+    const group = {};
+    for (const [key, child] of Object.entries(node)) {
+      group[key] = walk(child, path ? `${path}.${key}` : key);
+    }
+    return group;
+  }
+
+  return walk(tokens || {}, '');
+}
+
+// ---- Flat exporters ----
+
+/**
+ * CSS custom property name for a token path: ('color.primaryHover', 'tokens')
+ * -> '--tokens-color-primary-hover'. Shared with the design system's 'var' mode.
+ *
+ * @param {string} path - Token path relative to the token namespace
+ * @param {string} [prefix='tokens'] - Name prefix (the design system uses its namespace)
+ * @returns {string}
+ */
+export function tokenVarName(path, prefix = 'tokens') {
+  return `--${prefix}-${path.replace(/\./g, '-').replace(/([A-Z])/g, '-$1').toLowerCase()}`;
+}
+
+/**
+ * Token value as CSS text, with references rewritten by `ref(path, match)`
+ * (arrays such as font stacks are comma-separated). Shared with the design
+ * system's 'var' mode.
+ *
+ * @param {*} value - Token value
+ * @param {Function} [ref] - (path, match) => replacement; references are kept by default
+ * @returns {string}
+ */
+export function tokenCSSText(value, ref = (path, match) => match) {
+  const text = Array.isArray(value) ? value.join(', ') : String(value);
+  return text.replace(TOKEN_REF_RE, (match, path) => ref(path.trim(), match));
+}
+
+/**
+ * Flatten a token tree into a Map of path -> leaf value, in tree order.
+ * Paths start with `prefix` (the design system passes its namespace).
+ *
+ * @param {Object} node - Token tree (or a single leaf, with a prefix)
+ * @param {string} [prefix=''] - Path of `node`
+ * @param {Map} [out] - Map to add to
+ * @returns {Map<string, *>}
+ */
+export function flattenTokens(node, prefix = '', out = new Map()) {
+  if (typeof node === 'object' && node !== null && !Array.isArray(node)) {
+    for (const [key, child] of Object.entries(node)) {
+      flattenTokens(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out.set(prefix, node);
+  }
+  return out;
+}
+
+/**
+ * Resolve a token through its aliases and '{path}' references.
+ * `lookup(path)` returns the raw value of a token, so callers decide where
+ * tokens live (a tree, a store, scope overrides) and can record what was read.
+ * Throws on circular references.
+ *
+ * @param {string} path - Token path (e.g. 'color.primary')
+ * @param {Function} lookup - (path) => raw token value
+ * @param {string[]} [chain] - Paths already being resolved (for cycle detection)
+ * @returns {*} Resolved value (undefined for a missing token)
+ */
+export function resolveTokenPath(path, lookup, chain = []) {
+  if (chain.includes(path)) {
+    throw new Error(`Circular token reference: ${[...chain, path].join(' -> ')}`);
+  }
+  const value = lookup(path);
+  if (typeof value !== 'string') return value;
+  const next = [...chain, path];
+  const alias = value.match(TOKEN_ALIAS_RE);
+  if (alias) return resolveTokenPath(alias[1].trim(), lookup, next);
+  return value.replace(TOKEN_REF_RE, (match, ref) => {
+    const resolved = resolveTokenPath(ref.trim(), lookup, next);
+    return resolved === undefined ? match : String(resolved);
+  });
+}
+
+/**
+ * Resolve the '{path}' references in every token of a tree.
+ * Throws on circular references, like the design system.
+ *
+ * @param {Object} tokens - Token tree
+ * @returns {Object} New tree with plain values
+ */
+export function resolveTokens(tokens) {
+  const get = path => path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), tokens);
+
+  function walk(node, path) {
+    if (typeof node !== 'object' || node === null || Array.isArray(node)) return resolveTokenPath(path, get);
+    const group = {};
+    for (const key of Object.keys(node)) {
+      group[key] = walk(node[key], path ? `${path}.${key}` : key);
+    }
+    return group;
+  }
+
+  return walk(tokens || {}, '');
+}
+
+/**
+ * Export tokens as CSS custom properties. Aliases become var() references.
+ *
+ * @param {Object} tokens - Token tree
+ * @param {Object} [options]
+ * @param {string} [options.prefix='tokens'] - Custom property prefix
+ * @param {string} [options.selector=':root'] - Rule the properties are declared on
+ * @returns {string} CSS text
+ */
+export function toCSSVariables(tokens, { prefix = 'tokens', selector = ':root' } = {}) {
+  const decls = [...flattenTokens(tokens)].map(([path, value]) => {
+    const css = tokenCSSText(value, ref => `var(${tokenVarName(ref, prefix)})`);
+    return `  ${tokenVarName(path, prefix)}: ${css};`;
+  });
+  return `${selector} {\n${decls.join('\n')}\n}\n`;
+}
+
+function scssKey(key) {
+  return /^[A-Za-z_-][\w-]*$/.test(key) ? key : `"${key}"`;
+}
+
+/**
+ * Export tokens as SCSS variables ($tokens-color-primary) plus a nested map
+ * ($tokens: (color: (primary: ...))). Aliases become variable references, and
+ * variables are ordered so every reference is declared before it is used.
+ *
+ * @param {Object} tokens - Token tree
+ * @param {Object} [options]
+ * @param {string} [options.prefix='tokens'] - Variable and map name prefix
+ * @returns {string} SCSS text
+ */
+export function toSCSS(tokens, { prefix = 'tokens' } = {}) {
+  const leaves = flattenTokens(tokens);
+  const varName = path => `$${tokenVarName(path, prefix).slice(2)}`;
+  const refs = value => (typeof value === 'string' ? [...value.matchAll(TOKEN_REF_RE)].map(m => m[1].trim()) : []);
+
+  const lines = [];
+  const done = new Set();
+  const visiting = [];
+  function emit(path) {
+    if (done.has(path) || !leaves.has(path)) return;
+    if (visiting.includes(path)) {
+      throw new Error(`Circular token reference: ${[...visiting, path].join(' -> ')}`);
+    }
+    visiting.push(path);
+    const value = leaves.get(path);
+    refs(value).forEach(emit);
+    visiting.pop();
+    const scss = tokenCSSText(value, (ref, match) => (leaves.has(ref) ? varName(ref) : match));
+    lines.push(`${varName(path)}: ${scss};`);
+    done.add(path);
+  }
+  leaves.forEach((value, path) => emit(path));
+
+  function map(node, path, indent) {
+    const entries = Object.entries(node).map(([key, child]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      const value = typeof child === 'object' && child !== null && !Array.isArray(child)
+        ? map(child, childPath, `${indent}  `)
+        : varName(childPath);
+      return `${indent}  ${scssKey(key)}: ${value}`;
+    });
+    return `(\n${entries.join(',\n')}\n${indent})`;
+  }
+
+  return `${lines.join('\n')}\n\n$${prefix}: ${map(tokens || {}, '', '')};\n`;
+}
+
+/**
+ * Export tokens as an ES module with aliases resolved.
+ *
+ * @param {Object} tokens - Token tree
+ * @param {Object} [options]
+ * @param {string} [options.name='tokens'] - Name of the exported constant (also the default export)
+ * @returns {string} JavaScript source
+ */
+export function toESModule(tokens, { name = 'tokens' } = {}) {
+  const json = JSON.stringify(resolveTokens(tokens), null, 2);
+  return `export const ${name} = ${json};\n\nexport default ${name};\n`;
+}
+
+function tsKey(key) {
+  return IDENTIFIER_RE.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Export a .d.ts declaring every token path (TokenPath union) and the token
+ * tree with the literal type of each resolved value.
+ *
+ * @param {Object} tokens - Token tree
+ * @param {Object} [options]
+ * @param {string} [options.name='tokens'] - Name of the declared constant (also the default export)
+ * @returns {string} TypeScript declaration source
+ */
+export function toTypeScript(tokens, { name = 'tokens' } = {}) {
+  const resolved = resolveTokens(tokens);
+  const paths = [...flattenTokens(resolved).keys()].map(path => `  | ${JSON.stringify(path)}`);
+  const pathType = paths.length ? `\n${paths.join('\n')}` : ' never';
+
+  function type(node, indent) {
+    if (typeof node === 'object' && node !== null && !Array.isArray(node)) {
+      const members = Object.entries(node)
+        .map(([key, child]) => `${indent}  readonly ${tsKey(key)}: ${type(child, `${indent}  `)};`);
+      return members.length ? `{\n${members.join('\n')}\n${indent}}` : '{}';
+    }
+    if (typeof node === 'string' || typeof node === 'number' || typeof node === 'boolean') {
+      return JSON.stringify(node);
+    }
+    return Array.isArray(node) ? `readonly ${JSON.stringify(node)}` : 'unknown';
+  }
+
+  return `export type TokenPath =${pathType};\n\n`
+    + `export declare const ${name}: ${type(resolved, '')};\n\n`
+    + `export default ${name};\n`;
+}
@@ -0,0 +1,231 @@
+/**
+ * Token Transforms: Derive style values from tokens at bind time
+ *
+ * Used by designSystem.bind(stylePath, tokenPath, transform) so a hover state
+ * or border can follow a token without needing a token of its own. The
+ * transform is recomputed whenever the token changes.
+ *
+ * A transform is one of:
+ *   - an object of built-ins, applied in key order: { darken: 0.1, alpha: 0.8 }
+ *   - a function (value) => newValue
+ *   - an array of the above, applied left to right
+ *
+ * Built-ins:
+ *   alpha: 0.8 | '80%'            -> color with that opacity
+ *   lighten: 0.1 | '10%'          -> HSL lightness + 10 points
+ *   darken: 0.1 | '10%'           -> HSL lightness - 10 points
+ *   mix: ['#fff', 0.2] | '#fff'   -> 20% (default 50%) of another color mixed in
+ *   multiply: 2                   -> every number in a length / number value times 2
+ *
+ * Colors are read as hex (#rgb, #rgba, #rrggbb, #rrggbbaa), rgb()/rgba(),
+ * hsl()/hsla() or a CSS named color, and written as #rrggbb, or rgba() when
+ * not fully opaque.
+ *
+ * @example
+ *   import { applyTransform } from '@everystate/css/tokenTransforms';
+ *
+ *   applyTransform('#3b82f6', { alpha: 0.8 });     // 'rgba(59, 130, 246, 0.8)'
+ *   applyTransform('#3b82f6', { darken: '10%' });  // '#0b63f3'
+ *   applyTransform('0.5rem 1rem', { multiply: 2 }); // '1rem 2rem'
+ */
+
+// ---- Color utilities ----
+
+function parseHex(hex) {
+  const h = hex.replace('#', '');
+  if (!/^[0-9a-f]+$/i.test(h)) return null;
+  if (h.length === 3 || h.length === 4) {
+    const [r, g, b, a] = [...h].map(c => parseInt(c + c, 16));
+    return [r, g, b, a === undefined ? 1 : a / 255];
+  }
+  if (h.length === 6 || h.length === 8) {
+    const a = h.length === 8 ? parseInt(h.substring(6, 8), 16) / 255 : 1;
+    return [parseInt(h.substring(0, 2), 16), parseInt(h.substring(2, 4), 16), parseInt(h.substring(4, 6), 16), a];
+  }
+  return null;
+}
+
+// CSS named colors (CSS Color Module Level 4)
+const NAMED_COLORS = {
+  aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+  beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+  blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+  chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+  cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+  darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b',
+  darkolivegreen: '556b2f', darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000',
+  darksalmon: 'e9967a', darkseagreen: '8fbc8f', darkslateblue: '483d8b', darkslategray: '2f4f4f',
+  darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3', deeppink: 'ff1493',
+  deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969', dodgerblue: '1e90ff', firebrick: 'b22222',
+  floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff', gainsboro: 'dcdcdc',
+  ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080', green: '008000',
+  greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+  indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa', lavenderblush: 'fff0f5',
+  lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080',
+  lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3', lightgreen: '90ee90',
+  lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a', lightseagreen: '20b2aa',
+  lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899', lightsteelblue: 'b0c4de',
+  lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6', magenta: 'ff00ff',
+  maroon: '800000', mediumaquamarine: '66cdaa', mediumblue: '0000cd', mediumorchid: 'ba55d3',
+  mediumpurple: '9370db', mediumseagreen: '3cb371', mediumslateblue: '7b68ee',
+  mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc', mediumvioletred: 'c71585',
+  midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+  navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23',
+  orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+  paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9',
+  peru: 'cd853f', pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080',
+  rebeccapurple: '663399', red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1',
+  saddlebrown: '8b4513', salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee',
+  sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090',
+  slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c',
+  teal: '008080', thistle: 'd8bfd8', tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee',
+  wheat: 'f5deb3', white: 'ffffff', whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32',
+  transparent: '00000000',
+};
+
+const HUE_UNITS = { deg: 1, grad: 360 / 400, rad: 180 / Math.PI, turn: 360 };
+
+/**
+ * Parse a hex, rgb()/rgba(), hsl()/hsla() or named color to [r, g, b, a], or null.
+ */
+function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const v = value.trim();
+  if (v.startsWith('#')) return parseHex(v);
+  const named = NAMED_COLORS[v.toLowerCase()];
+  if (named) return parseHex(named);
+  const rgbMatch = v.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+  if (rgbMatch) {
+    const alpha = rgbMatch[4] === undefined ? 1 : parseAmount(rgbMatch[4]);
+    return [parseFloat(rgbMatch[1]), parseFloat(rgbMatch[2]), parseFloat(rgbMatch[3]), alpha];
+  }
+  const hslMatch = v.match(
+    /^hsla?\(\s*(-?[\d.]+)(deg|grad|rad|turn)?[\s,]+([\d.]+)%?[\s,]+([\d.]+)%?(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/i,
+  );
+  if (!hslMatch) return null;
+  const degrees = parseFloat(hslMatch[1]) * HUE_UNITS[(hslMatch[2] || 'deg').toLowerCase()];
+  const hue = (((degrees % 360) + 360) % 360) / 360;
+  const [s, l] = [hslMatch[3], hslMatch[4]].map(n => Math.min(100, parseFloat(n)) / 100);
+  const alpha = hslMatch[5] === undefined ? 1 : parseAmount(hslMatch[5]);
+  return [...hslToRgb([hue, s, l]), alpha];
+}
+
+function formatColor([r, g, b, a]) {
+  const [rr, gg, bb] = [r, g, b].map(c => Math.round(Math.min(255, Math.max(0, c))));
+  if (a >= 1) {
+    return `#${[rr, gg, bb].map(c => c.toString(16).padStart(2, '0')).join('')}`;
+  }
+  return `rgba(${rr}, ${gg}, ${bb}, ${Math.round(Math.max(0, a) * 1000) / 1000})`;
+}
+
+function rgbToHsl([r, g, b]) {
+  const [rs, gs, bs] = [r / 255, g / 255, b / 255];
+  const max = Math.max(rs, gs, bs);
+  const min = Math.min(rs, gs, bs);
+  const l = (max + min) / 2;
+  if (max === min) return [0, 0, l];
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === rs) h = (gs - bs) / d + (gs < bs ? 6 : 0);
+  else if (max === gs) h = (bs - rs) / d + 2;
+  else h = (rs - gs) / d + 4;
+  return [h / 6, s, l];
+}
+
+function hslToRgb([h, s, l]) {
+  if (s === 0) return [l * 255, l * 255, l * 255];
+  const hue = (p, q, t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  return [hue(p, q, h + 1 / 3), hue(p, q, h), hue(p, q, h - 1 / 3)].map(c => c * 255);
+}
+
+/**
+ * Read an amount given as a fraction (0.1) or a percentage ('10%').
+ */
+function parseAmount(amount) {
+  if (typeof amount === 'string' && amount.trim().endsWith('%')) {
+    return parseFloat(amount) / 100;
+  }
+  return parseFloat(amount);
+}
+
+function requireColor(name, value) {
+  const color = parseColor(value);
+  if (!color) {
+    throw new Error(`Cannot apply ${name} to '${value}': expected a hex, rgb(), hsl() or named color`);
+  }
+  return color;
+}
+
+function adjustLightness(name, value, delta) {
+  const [r, g, b, a] = requireColor(name, value);
+  const [h, s, l] = rgbToHsl([r, g, b]);
+  return formatColor([...hslToRgb([h, s, Math.min(1, Math.max(0, l + delta))]), a]);
+}
+
+// ---- Built-in transforms ----
+
+export const TRANSFORMS = {
+  alpha(value, amount) {
+    const [r, g, b] = requireColor('alpha', value);
+    return formatColor([r, g, b, parseAmount(amount)]);
+  },
+
+  lighten(value, amount) {
+    return adjustLightness('lighten', value, parseAmount(amount));
+  },
+
+  darken(value, amount) {
+    return adjustLightness('darken', value, -parseAmount(amount));
+  },
+
+  mix(value, arg) {
+    const [other, weight = 0.5] = Array.isArray(arg) ? arg : [arg];
+    const base = requireColor('mix', value);
+    const mixed = requireColor('mix', other);
+    const w = parseAmount(weight);
+    return formatColor(base.map((c, i) => c * (1 - w) + mixed[i] * w));
+  },
+
+  multiply(value, factor) {
+    const f = parseFloat(factor);
+    if (typeof value === 'number') return value * f;
+    // Check each whitespace-separated part on its own, so the test stays linear
+    const parts = typeof value === 'string' ? value.trim().split(/\s+/) : [];
+    if (!parts.length || !parts.every(part => /^-?(\d+(\.\d+)?|\.\d+)[a-z%]*$/i.test(part))) {
+      throw new Error(`Cannot apply multiply to '${value}': expected a number or length`);
+    }
+    // Round to 4 decimal places to avoid floating point noise
+    return value.replace(/-?\d*\.?\d+/g, n => String(Math.round(parseFloat(n) * f * 10000) / 10000));
+  },
+};
+
+/**
+ * Apply a transform (built-in object, function, or array of them) to a value.
+ * Undefined values (missing tokens) pass through untouched.
+ *
+ * @param {*} value - Resolved token value
+ * @param {Object|Function|Array} [transform]
+ * @returns {*} Transformed value
+ */
+export function applyTransform(value, transform) {
+  if (transform == null || value === undefined) return value;
+  if (typeof transform === 'function') return transform(value);
+  if (Array.isArray(transform)) return transform.reduce((v, t) => applyTransform(v, t), value);
+  let result = value;
+  for (const [name, arg] of Object.entries(transform)) {
+    const fn = TRANSFORMS[name];
+    if (!fn) throw new Error(`Unknown token transform: ${name}`);
+    result = fn(result, arg);
+  }
+  return result;
+}